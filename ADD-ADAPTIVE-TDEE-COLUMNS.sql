@@ -0,0 +1,15 @@
+-- ============================================================================
+-- ADD ADAPTIVE TDEE COLUMNS
+-- Marks macro_calculations rows written by the adaptive maintenance engine and
+-- stores the explanation shown to the user for each target change
+-- ============================================================================
+
+ALTER TABLE macro_calculations
+    ADD COLUMN IF NOT EXISTS calculation_source TEXT DEFAULT 'calculator',
+    ADD COLUMN IF NOT EXISTS adjustment_reason TEXT;
+
+ALTER TABLE macro_calculations
+    DROP CONSTRAINT IF EXISTS macro_calculations_calculation_source_check;
+ALTER TABLE macro_calculations
+    ADD CONSTRAINT macro_calculations_calculation_source_check
+    CHECK (calculation_source IN ('calculator', 'adaptive'));
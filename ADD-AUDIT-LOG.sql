@@ -0,0 +1,342 @@
+-- ============================================================================
+-- ADD AUDIT LOG
+-- Append-only record of privileged changes made from the owner portal and the
+-- coach dashboard (audit-log.js): who did what to which user/record, with the
+-- values before and after.
+-- - Changes are logged by triggers in the same transaction as the change:
+--   client assignments, invite codes, coach-set targets and meal plans, cleared
+--   app errors and client transfers (and their undo)
+-- - record_audit_event is only for owner actions that change no table (data
+--   export, two-factor enrollment)
+-- - Actor, role and time always come from the session; roles come from user_roles
+-- - Rows can't be updated or deleted, not even by the owner
+-- Run after ADD-OWNER-ACCESS.sql, ADD-COACH-ASSIGNED-TARGETS.sql,
+-- ADD-CLIENT-TRANSFERS.sql and ADD-CLIENT-ERRORS.sql.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    actor_id UUID,
+    actor_email TEXT,
+    actor_role TEXT NOT NULL,
+    -- e.g. 'client.assign', 'invite_code.deactivate', 'data.export'
+    action TEXT NOT NULL,
+    target_user TEXT,
+    target_table TEXT,
+    target_id TEXT,
+    before_value JSONB,
+    after_value JSONB,
+    details JSONB,
+    -- Page the change was made from
+    source TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_email, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log (action, created_at DESC);
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+-- No INSERT/UPDATE/DELETE policies: writes go through record_audit_event only
+DROP POLICY IF EXISTS "Owners view audit log" ON audit_log;
+CREATE POLICY "Owners view audit log" ON audit_log
+    FOR SELECT
+    USING (is_owner_or_admin());
+
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- ----------------------------------------------------------------------------
+-- write_audit_event: used by the triggers below, not callable by clients
+-- The actor's role is their owner/admin/coach role in user_roles, else 'user'.
+-- ----------------------------------------------------------------------------
+
+DROP FUNCTION IF EXISTS write_audit_event(TEXT, TEXT, TEXT, TEXT, JSONB, JSONB, JSONB, TEXT);
+CREATE FUNCTION write_audit_event(
+    audit_action TEXT,
+    audit_target_user TEXT DEFAULT NULL,
+    audit_target_table TEXT DEFAULT NULL,
+    audit_target_id TEXT DEFAULT NULL,
+    audit_before JSONB DEFAULT NULL,
+    audit_after JSONB DEFAULT NULL,
+    audit_details JSONB DEFAULT NULL,
+    audit_source TEXT DEFAULT NULL
+)
+RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    caller_role TEXT;
+    new_id BIGINT;
+BEGIN
+    SELECT r.role INTO caller_role
+    FROM user_roles r
+    WHERE r.user_id = auth.uid()
+      AND r.role IN ('owner', 'admin', 'coach')
+    ORDER BY CASE r.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END
+    LIMIT 1;
+
+    INSERT INTO audit_log (actor_id, actor_email, actor_role, action, target_user, target_table, target_id,
+                           before_value, after_value, details, source)
+    VALUES (auth.uid(), auth.jwt() ->> 'email', COALESCE(caller_role, CASE WHEN auth.uid() IS NULL THEN 'system' ELSE 'user' END),
+            audit_action, audit_target_user, audit_target_table, audit_target_id,
+            audit_before, audit_after, audit_details, audit_source)
+    RETURNING id INTO new_id;
+
+    RETURN new_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION write_audit_event(TEXT, TEXT, TEXT, TEXT, JSONB, JSONB, JSONB, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- ----------------------------------------------------------------------------
+-- record_audit_event: owner/admin actions that change no table
+-- ----------------------------------------------------------------------------
+
+DROP FUNCTION IF EXISTS record_audit_event(TEXT, TEXT, TEXT, TEXT, JSONB, JSONB, JSONB, TEXT);
+CREATE FUNCTION record_audit_event(
+    audit_action TEXT,
+    audit_target_user TEXT DEFAULT NULL,
+    audit_target_table TEXT DEFAULT NULL,
+    audit_target_id TEXT DEFAULT NULL,
+    audit_before JSONB DEFAULT NULL,
+    audit_after JSONB DEFAULT NULL,
+    audit_details JSONB DEFAULT NULL,
+    audit_source TEXT DEFAULT NULL
+)
+RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF auth.uid() IS NULL OR NOT is_owner_or_admin() THEN
+        RAISE EXCEPTION 'Only owners and admins record audit events';
+    END IF;
+    IF audit_action IS NULL OR audit_action NOT IN ('data.export', 'mfa.enroll') THEN
+        RAISE EXCEPTION 'Audit action % is recorded by the database itself', audit_action;
+    END IF;
+
+    RETURN write_audit_event(audit_action, audit_target_user, audit_target_table, audit_target_id,
+                             audit_before, audit_after, audit_details, audit_source);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_audit_event(TEXT, TEXT, TEXT, TEXT, JSONB, JSONB, JSONB, TEXT) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Client transfers are logged where they happen, in the same transaction
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION audit_client_transfer()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM write_audit_event(
+            'clients.' || NEW.transfer_type,
+            NEW.from_coach,
+            'client_transfers',
+            NEW.id::TEXT,
+            (SELECT jsonb_agg(jsonb_build_object('email', m ->> 'email', 'coach', m ->> 'previous_coach')) FROM jsonb_array_elements(NEW.clients) m),
+            jsonb_build_object('coach', NEW.to_coach, 'deactivated_codes', NEW.deactivated_codes),
+            jsonb_build_object('reason', NEW.reason, 'client_count', jsonb_array_length(NEW.clients)),
+            'secure-owner-access'
+        );
+    ELSIF OLD.undone_at IS NULL AND NEW.undone_at IS NOT NULL THEN
+        PERFORM write_audit_event(
+            'clients.transfer_undo',
+            NEW.from_coach,
+            'client_transfers',
+            NEW.id::TEXT,
+            jsonb_build_object('coach', NEW.to_coach),
+            (SELECT jsonb_agg(jsonb_build_object('email', m ->> 'email', 'coach', m ->> 'previous_coach')) FROM jsonb_array_elements(NEW.clients) m),
+            jsonb_build_object('skipped', NEW.undo_skipped),
+            'secure-owner-access'
+        );
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS client_transfers_audit ON client_transfers;
+CREATE TRIGGER client_transfers_audit
+    AFTER INSERT OR UPDATE ON client_transfers
+    FOR EACH ROW
+    EXECUTE FUNCTION audit_client_transfer();
+
+-- ----------------------------------------------------------------------------
+-- Client assignments: any change of user_profiles.assigned_coach
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION audit_client_assignment()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM write_audit_event(
+        CASE WHEN NEW.assigned_coach IS NULL THEN 'client.unassign' ELSE 'client.assign' END,
+        NEW.user_email,
+        'user_profiles',
+        NEW.id::TEXT,
+        jsonb_build_object('assigned_coach', OLD.assigned_coach, 'assignment_status', OLD.assignment_status),
+        jsonb_build_object('assigned_coach', NEW.assigned_coach, 'assignment_status', NEW.assignment_status)
+    );
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS user_profiles_assignment_audit ON user_profiles;
+CREATE TRIGGER user_profiles_assignment_audit
+    AFTER UPDATE OF assigned_coach ON user_profiles
+    FOR EACH ROW
+    WHEN (OLD.assigned_coach IS DISTINCT FROM NEW.assigned_coach)
+    EXECUTE FUNCTION audit_client_assignment();
+
+-- ----------------------------------------------------------------------------
+-- Invite codes: created, deactivated
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION audit_invite_code()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM write_audit_event(
+            'invite_code.create', NEW.coach_email, 'invite_codes', NEW.id::TEXT,
+            NULL, to_jsonb(NEW)
+        );
+    ELSIF OLD.is_active AND NOT NEW.is_active THEN
+        PERFORM write_audit_event(
+            'invite_code.deactivate', NEW.coach_email, 'invite_codes', NEW.id::TEXT,
+            jsonb_build_object('is_active', TRUE), jsonb_build_object('is_active', FALSE),
+            jsonb_build_object('code', NEW.code)
+        );
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS invite_codes_audit ON invite_codes;
+CREATE TRIGGER invite_codes_audit
+    AFTER INSERT OR UPDATE OF is_active ON invite_codes
+    FOR EACH ROW
+    EXECUTE FUNCTION audit_invite_code();
+
+-- ----------------------------------------------------------------------------
+-- Targets and meal plans a coach sets for a client (stamped with their email);
+-- starting targets from an invite code template are stamped by the code's
+-- coach but written by the new client, so they aren't logged as the coach's
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION audit_coach_targets()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM write_audit_event(
+        'targets.assign',
+        (SELECT p.user_email FROM user_profiles p WHERE p.user_id = NEW.user_id LIMIT 1),
+        'daily_targets',
+        NEW.user_id::TEXT,
+        CASE WHEN TG_OP = 'UPDATE' THEN jsonb_build_object(
+            'calories', OLD.daily_calories, 'protein', OLD.daily_protein, 'carbs', OLD.daily_carbs,
+            'fat', OLD.daily_fat, 'weekday_targets', OLD.weekday_targets, 'set_by_coach', OLD.set_by_coach
+        ) END,
+        jsonb_build_object(
+            'calories', NEW.daily_calories, 'protein', NEW.daily_protein, 'carbs', NEW.daily_carbs,
+            'fat', NEW.daily_fat, 'weekday_targets', NEW.weekday_targets
+        ),
+        CASE WHEN NEW.coach_note IS NOT NULL THEN jsonb_build_object('note', NEW.coach_note) END
+    );
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS daily_targets_coach_audit ON daily_targets;
+CREATE TRIGGER daily_targets_coach_audit
+    AFTER INSERT OR UPDATE ON daily_targets
+    FOR EACH ROW
+    WHEN (NEW.set_by_coach IS NOT NULL AND NEW.set_by_coach = auth.jwt() ->> 'email')
+    EXECUTE FUNCTION audit_coach_targets();
+
+CREATE OR REPLACE FUNCTION audit_coach_meal_plan()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM write_audit_event(
+        'meal_plan.assign',
+        (SELECT p.user_email FROM user_profiles p WHERE p.user_id = NEW.user_id LIMIT 1),
+        'meal_plans',
+        NEW.user_id::TEXT,
+        CASE WHEN TG_OP = 'UPDATE' THEN to_jsonb(OLD.week_data) END,
+        to_jsonb(NEW.week_data)
+    );
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS meal_plans_coach_audit ON meal_plans;
+CREATE TRIGGER meal_plans_coach_audit
+    AFTER INSERT OR UPDATE ON meal_plans
+    FOR EACH ROW
+    WHEN (NEW.assigned_by_coach IS NOT NULL AND NEW.assigned_by_coach = auth.jwt() ->> 'email')
+    EXECUTE FUNCTION audit_coach_meal_plan();
+
+-- ----------------------------------------------------------------------------
+-- App errors marked fixed: one entry per delete, listing the fingerprints
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION audit_client_errors_clear()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM cleared) THEN
+        PERFORM write_audit_event(
+            'client_errors.clear', NULL, 'client_errors',
+            (SELECT string_agg(DISTINCT fingerprint, ',') FROM cleared),
+            NULL, NULL,
+            jsonb_build_object('rows', (SELECT COUNT(*) FROM cleared))
+        );
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS client_errors_clear_audit ON client_errors;
+CREATE TRIGGER client_errors_clear_audit
+    AFTER DELETE ON client_errors
+    REFERENCING OLD TABLE AS cleared
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION audit_client_errors_clear();
@@ -0,0 +1,12 @@
+-- ============================================================================
+-- ADD BODY COMPOSITION COLUMNS
+-- Neck measurement and body-fat reading on progress_entries; lean and fat mass
+-- are derived from weight and body_fat_percent in the app
+-- ============================================================================
+
+ALTER TABLE progress_entries
+    ADD COLUMN IF NOT EXISTS neck_cm NUMERIC(5,1),
+    ADD COLUMN IF NOT EXISTS body_fat_percent NUMERIC(4,1)
+        CHECK (body_fat_percent IS NULL OR body_fat_percent BETWEEN 2 AND 65),
+    ADD COLUMN IF NOT EXISTS body_fat_method TEXT
+        CHECK (body_fat_method IS NULL OR body_fat_method IN ('navy', 'manual', 'caliper'));
@@ -0,0 +1,188 @@
+-- ============================================================================
+-- ADD CLIENT ERRORS
+-- Browser errors from ErrorHandlingSystem / EnhancedErrorReporter, batched and
+-- scrubbed by error-telemetry.js. One row per fingerprint (message + top stack
+-- frame), page and browser, with a running count and first/last seen times.
+-- - Rows are only written through record_client_errors, which also accepts
+--   errors from signed-out visitors (e.g. the login page)
+-- - Owners/admins read them in the owner portal's error dashboard and can
+--   clear rows once fixed
+-- Run after ADD-OWNER-ACCESS.sql.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS client_errors (
+    id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    fingerprint TEXT NOT NULL,
+    page TEXT NOT NULL,
+    browser TEXT NOT NULL,
+    message TEXT NOT NULL,
+    stack_frame TEXT,
+    stack TEXT,
+    category TEXT,
+    severity TEXT,
+    -- Context of the most recent occurrence
+    context TEXT,
+    count INTEGER NOT NULL DEFAULT 1,
+    first_seen TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- Server time the row was first written, unlike first_seen which the browser reports
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- Hash of the user id or IP address that created the row, for the per-caller cap
+    reported_by TEXT,
+    -- Count added since count_window_start, for the cap on how fast counts grow
+    count_window_start TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    count_window_added INTEGER NOT NULL DEFAULT 0,
+    UNIQUE (fingerprint, page, browser)
+);
+
+ALTER TABLE client_errors
+    ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    ADD COLUMN IF NOT EXISTS reported_by TEXT,
+    ADD COLUMN IF NOT EXISTS count_window_start TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    ADD COLUMN IF NOT EXISTS count_window_added INTEGER NOT NULL DEFAULT 0;
+
+-- Fingerprints are 8 hex digits (error-telemetry.js); drop anything else already stored
+DELETE FROM client_errors WHERE fingerprint !~ '^[0-9a-f]{8}$';
+
+CREATE INDEX IF NOT EXISTS idx_client_errors_last_seen ON client_errors (last_seen DESC);
+CREATE INDEX IF NOT EXISTS idx_client_errors_created ON client_errors (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_client_errors_reporter ON client_errors (reported_by, created_at DESC);
+
+ALTER TABLE client_errors ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners view client errors" ON client_errors;
+CREATE POLICY "Owners view client errors" ON client_errors
+    FOR SELECT
+    USING (is_owner_or_admin());
+
+DROP POLICY IF EXISTS "Owners clear client errors" ON client_errors;
+CREATE POLICY "Owners clear client errors" ON client_errors
+    FOR DELETE
+    USING (is_owner_or_admin());
+
+-- ----------------------------------------------------------------------------
+-- client_error_time: a browser-reported time, or NULL if it isn't one
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION client_error_time(value TEXT)
+RETURNS TIMESTAMPTZ
+LANGUAGE plpgsql
+STABLE
+SET search_path = public
+AS $$
+BEGIN
+    IF value IS NULL OR value !~ '^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}' THEN
+        RETURN NULL;
+    END IF;
+    RETURN value::TIMESTAMPTZ;
+EXCEPTION WHEN OTHERS THEN
+    RETURN NULL;
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- record_client_errors
+-- errors: [{ fingerprint, page, browser, message, stack_frame, stack, category,
+--            severity, context, count, first_seen, last_seen }]
+-- At most 50 entries per call; entries without a valid fingerprint are dropped,
+-- text is truncated, and counts and times that don't parse fall back to 1 / now.
+-- - Each caller (signed-in user, else IP address) creates at most 50 new rows
+--   per hour; beyond that only existing rows get their counts raised
+-- - A row's count grows by at most 1000 per hour
+-- Times in the future are clamped to now.
+-- ----------------------------------------------------------------------------
+
+DROP FUNCTION IF EXISTS record_client_errors(JSONB);
+CREATE FUNCTION record_client_errors(errors JSONB)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    recorded INTEGER;
+    room INTEGER;
+    reporter TEXT;
+    hourly_growth CONSTANT INTEGER := 1000;
+BEGIN
+    IF jsonb_typeof(errors) IS DISTINCT FROM 'array' THEN
+        RAISE EXCEPTION 'errors must be an array';
+    END IF;
+
+    reporter := md5(COALESCE(
+        'user:' || auth.uid()::TEXT,
+        'ip:' || TRIM(split_part(NULLIF(current_setting('request.headers', true), '')::JSON ->> 'x-forwarded-for', ',', 1)),
+        'ip:unknown'
+    ));
+
+    SELECT GREATEST(50 - COUNT(*), 0) INTO room
+    FROM client_errors
+    WHERE reported_by = reporter
+      AND created_at > NOW() - INTERVAL '1 hour';
+
+    WITH incoming AS (
+        SELECT
+            e ->> 'fingerprint' AS fingerprint,
+            LEFT(COALESCE(e ->> 'page', 'unknown'), 200) AS page,
+            LEFT(COALESCE(e ->> 'browser', 'Other'), 100) AS browser,
+            LEFT(COALESCE(e ->> 'message', 'Unknown error'), 2000) AS message,
+            LEFT(e ->> 'stack_frame', 500) AS stack_frame,
+            LEFT(e ->> 'stack', 4000) AS stack,
+            LEFT(e ->> 'category', 100) AS category,
+            LEFT(e ->> 'severity', 20) AS severity,
+            LEFT(e ->> 'context', 2000) AS context,
+            CASE WHEN (e ->> 'count') ~ '^[0-9]{1,9}$'
+                 THEN LEAST(GREATEST((e ->> 'count')::INTEGER, 1), 1000) ELSE 1 END AS count,
+            LEAST(COALESCE(client_error_time(e ->> 'first_seen'), NOW()), NOW()) AS first_seen,
+            LEAST(COALESCE(client_error_time(e ->> 'last_seen'), NOW()), NOW()) AS last_seen
+        FROM (SELECT e FROM jsonb_array_elements(errors) e LIMIT 50) batch
+        WHERE (e ->> 'fingerprint') ~ '^[0-9a-f]{8}$'
+    ),
+    deduped AS (
+        SELECT DISTINCT ON (fingerprint, page, browser) *,
+            EXISTS (SELECT 1 FROM client_errors x
+                    WHERE x.fingerprint = incoming.fingerprint
+                      AND x.page = incoming.page
+                      AND x.browser = incoming.browser) AS known
+        FROM incoming
+    ),
+    kept AS (
+        SELECT * FROM deduped WHERE known
+        UNION ALL
+        (SELECT * FROM deduped WHERE NOT known LIMIT room)
+    )
+    INSERT INTO client_errors AS c (fingerprint, page, browser, message, stack_frame, stack, category,
+                                    severity, context, count, first_seen, last_seen,
+                                    reported_by, count_window_added)
+    SELECT fingerprint, page, browser, message, stack_frame, stack, category,
+           severity, context, count, first_seen, last_seen,
+           reporter, count
+    FROM kept
+    ON CONFLICT (fingerprint, page, browser) DO UPDATE
+    SET count = c.count + CASE
+            WHEN c.count_window_start > NOW() - INTERVAL '1 hour'
+            THEN LEAST(EXCLUDED.count, GREATEST(hourly_growth - c.count_window_added, 0))
+            ELSE EXCLUDED.count
+        END,
+        count_window_added = CASE
+            WHEN c.count_window_start > NOW() - INTERVAL '1 hour'
+            THEN LEAST(c.count_window_added + EXCLUDED.count, hourly_growth)
+            ELSE EXCLUDED.count
+        END,
+        count_window_start = CASE
+            WHEN c.count_window_start > NOW() - INTERVAL '1 hour' THEN c.count_window_start
+            ELSE NOW()
+        END,
+        first_seen = LEAST(c.first_seen, EXCLUDED.first_seen),
+        last_seen = GREATEST(c.last_seen, EXCLUDED.last_seen),
+        message = EXCLUDED.message,
+        stack = COALESCE(EXCLUDED.stack, c.stack),
+        severity = EXCLUDED.severity,
+        context = EXCLUDED.context;
+
+    GET DIAGNOSTICS recorded = ROW_COUNT;
+    RETURN recorded;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_client_errors(JSONB) TO anon, authenticated;
@@ -0,0 +1,211 @@
+-- ============================================================================
+-- ADD CLIENT TRANSFERS
+-- Bulk client reassignment and coach offboarding from the owner portal
+-- (client-transfers.js). Every transfer is one client_transfers row holding
+-- each client's previous assignment and the invite codes it deactivated, so it
+-- can be undone until undo_until.
+-- Changes only go through transfer_clients / undo_client_transfer, which check
+-- the caller's owner role and apply everything in one transaction.
+-- Run after ADD-INVITE-CODE-LIMITS.sql.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS client_transfers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    transfer_type TEXT NOT NULL CHECK (transfer_type IN ('bulk', 'offboard')),
+    from_coach TEXT,
+    to_coach TEXT NOT NULL,
+    reason TEXT,
+    -- [{ profile_id, email, name, previous_coach, previous_status, previous_assignment_date }]
+    clients JSONB NOT NULL DEFAULT '[]'::JSONB,
+    deactivated_codes JSONB NOT NULL DEFAULT '[]'::JSONB,
+    performed_by UUID DEFAULT auth.uid(),
+    performed_by_email TEXT DEFAULT (auth.jwt() ->> 'email'),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    undo_until TIMESTAMPTZ NOT NULL,
+    undone_at TIMESTAMPTZ,
+    undone_by_email TEXT,
+    -- Clients left alone on undo because they were reassigned again in the meantime
+    undo_skipped JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_transfers_created ON client_transfers (created_at DESC);
+
+ALTER TABLE client_transfers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners view client transfers" ON client_transfers;
+CREATE POLICY "Owners view client transfers" ON client_transfers
+    FOR SELECT
+    USING (EXISTS (
+        SELECT 1 FROM user_roles r
+        WHERE r.user_id = auth.uid()
+          AND r.role IN ('owner', 'admin')
+    ));
+
+-- ----------------------------------------------------------------------------
+-- transfer_clients
+-- client_ids: user_profiles.id values (as text); for an offboarding pass the
+-- leaving coach as from_coach_email and NULL client_ids to move all their clients.
+-- deactivate_codes: also deactivate from_coach_email's active invite codes.
+-- The undo window is always 24 hours.
+-- Returns the new client_transfers row.
+-- ----------------------------------------------------------------------------
+
+DROP FUNCTION IF EXISTS transfer_clients(TEXT[], TEXT, TEXT, BOOLEAN, TEXT, INTEGER);
+DROP FUNCTION IF EXISTS transfer_clients(TEXT[], TEXT, TEXT, BOOLEAN, TEXT);
+CREATE FUNCTION transfer_clients(
+    client_ids TEXT[],
+    to_coach_email TEXT,
+    from_coach_email TEXT DEFAULT NULL,
+    deactivate_codes BOOLEAN DEFAULT FALSE,
+    transfer_reason TEXT DEFAULT NULL
+)
+RETURNS client_transfers
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    moved JSONB;
+    codes JSONB := '[]'::JSONB;
+    t client_transfers%ROWTYPE;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = auth.uid() AND r.role IN ('owner', 'admin')) THEN
+        RAISE EXCEPTION 'Only the owner can transfer clients';
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM user_profiles p WHERE p.user_email = to_coach_email AND p.assignment_status = 'coach') THEN
+        RAISE EXCEPTION 'Target coach % not found', to_coach_email;
+    END IF;
+    IF from_coach_email = to_coach_email THEN
+        RAISE EXCEPTION 'Clients are already with %', to_coach_email;
+    END IF;
+    IF client_ids IS NULL AND from_coach_email IS NULL THEN
+        RAISE EXCEPTION 'Select clients or a coach to offboard';
+    END IF;
+
+    -- Snapshot and lock the affected profiles before changing them
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'profile_id', p.id::TEXT,
+        'email', p.user_email,
+        'name', p.user_name,
+        'previous_coach', p.assigned_coach,
+        'previous_status', p.assignment_status,
+        'previous_assignment_date', p.coach_assignment_date
+    )), '[]'::JSONB)
+    INTO moved
+    FROM (
+        SELECT * FROM user_profiles
+        WHERE (client_ids IS NULL OR id::TEXT = ANY(client_ids))
+          AND (from_coach_email IS NULL OR assigned_coach = from_coach_email)
+          AND assignment_status NOT IN ('coach', 'owner')
+          AND assigned_coach IS DISTINCT FROM to_coach_email
+        FOR UPDATE
+    ) p;
+
+    IF jsonb_array_length(moved) = 0 AND NOT (deactivate_codes AND from_coach_email IS NOT NULL) THEN
+        RAISE EXCEPTION 'No clients to transfer';
+    END IF;
+
+    UPDATE user_profiles
+    SET assigned_coach = to_coach_email,
+        coach_assignment_date = NOW(),
+        assignment_status = 'active',
+        updated_at = NOW()
+    WHERE id::TEXT IN (SELECT m ->> 'profile_id' FROM jsonb_array_elements(moved) m);
+
+    IF deactivate_codes AND from_coach_email IS NOT NULL THEN
+        WITH deactivated AS (
+            UPDATE invite_codes
+            SET is_active = FALSE,
+                updated_at = NOW()
+            WHERE coach_email = from_coach_email
+              AND is_active
+            RETURNING id, code
+        )
+        SELECT COALESCE(jsonb_agg(jsonb_build_object('id', d.id, 'code', d.code)), '[]'::JSONB)
+        INTO codes
+        FROM deactivated d;
+    END IF;
+
+    INSERT INTO client_transfers (transfer_type, from_coach, to_coach, reason, clients, deactivated_codes, undo_until)
+    VALUES (
+        CASE WHEN client_ids IS NULL THEN 'offboard' ELSE 'bulk' END,
+        from_coach_email,
+        to_coach_email,
+        NULLIF(TRIM(transfer_reason), ''),
+        moved,
+        codes,
+        NOW() + INTERVAL '24 hours'
+    )
+    RETURNING * INTO t;
+
+    RETURN t;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION transfer_clients(TEXT[], TEXT, TEXT, BOOLEAN, TEXT) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- undo_client_transfer
+-- Restores each client's previous assignment and reactivates the deactivated
+-- codes. Clients no longer with the transfer's target coach are skipped and
+-- listed in undo_skipped. Returns the updated client_transfers row.
+-- ----------------------------------------------------------------------------
+
+DROP FUNCTION IF EXISTS undo_client_transfer(UUID);
+CREATE FUNCTION undo_client_transfer(transfer_id UUID)
+RETURNS client_transfers
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    t client_transfers%ROWTYPE;
+    skipped JSONB;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = auth.uid() AND r.role IN ('owner', 'admin')) THEN
+        RAISE EXCEPTION 'Only the owner can undo transfers';
+    END IF;
+
+    SELECT * INTO t FROM client_transfers WHERE id = transfer_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Transfer not found';
+    END IF;
+    IF t.undone_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This transfer was already undone';
+    END IF;
+    IF t.undo_until < NOW() THEN
+        RAISE EXCEPTION 'The undo window for this transfer has closed';
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(m ->> 'email'), '[]'::JSONB)
+    INTO skipped
+    FROM jsonb_array_elements(t.clients) m
+    JOIN user_profiles p ON p.id::TEXT = m ->> 'profile_id'
+    WHERE p.assigned_coach IS DISTINCT FROM t.to_coach;
+
+    UPDATE user_profiles p
+    SET assigned_coach = m ->> 'previous_coach',
+        assignment_status = m ->> 'previous_status',
+        coach_assignment_date = (m ->> 'previous_assignment_date')::TIMESTAMPTZ,
+        updated_at = NOW()
+    FROM jsonb_array_elements(t.clients) m
+    WHERE p.id::TEXT = m ->> 'profile_id'
+      AND p.assigned_coach = t.to_coach;
+
+    UPDATE invite_codes
+    SET is_active = TRUE,
+        updated_at = NOW()
+    WHERE id::TEXT IN (SELECT c ->> 'id' FROM jsonb_array_elements(t.deactivated_codes) c);
+
+    UPDATE client_transfers
+    SET undone_at = NOW(),
+        undone_by_email = auth.jwt() ->> 'email',
+        undo_skipped = skipped
+    WHERE id = t.id
+    RETURNING * INTO t;
+
+    RETURN t;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION undo_client_transfer(UUID) TO authenticated;
@@ -0,0 +1,149 @@
+-- ============================================================================
+-- ADD COACH-ASSIGNED TARGETS
+-- Lets a coach set an assigned client's daily_targets (optionally per weekday)
+-- and push a weekly meal plan into their meal_plans row. Each change records the
+-- coach's email on the row and in coach_changes.
+-- ============================================================================
+
+ALTER TABLE daily_targets
+    ADD COLUMN IF NOT EXISTS weekday_targets JSONB,
+    ADD COLUMN IF NOT EXISTS set_by_coach TEXT,
+    ADD COLUMN IF NOT EXISTS set_by_coach_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS coach_note TEXT;
+
+ALTER TABLE meal_plans
+    ADD COLUMN IF NOT EXISTS assigned_by_coach TEXT,
+    ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS coach_changes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    client_user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    client_email TEXT,
+    coach_email TEXT NOT NULL,
+    change_type TEXT NOT NULL CHECK (change_type IN ('targets', 'meal_plan')),
+    details JSONB,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_coach_changes_client ON coach_changes (client_user_id, created_at DESC);
+
+ALTER TABLE coach_changes ENABLE ROW LEVEL SECURITY;
+
+-- ----------------------------------------------------------------------------
+-- Coach access follows user_profiles.assigned_coach
+-- ----------------------------------------------------------------------------
+
+DROP POLICY IF EXISTS "Coaches manage assigned client targets" ON daily_targets;
+CREATE POLICY "Coaches manage assigned client targets" ON daily_targets
+    FOR ALL
+    USING (EXISTS (
+        SELECT 1 FROM user_profiles p
+        WHERE p.user_id = daily_targets.user_id
+          AND p.assigned_coach = auth.jwt() ->> 'email'
+    ))
+    WITH CHECK (
+        set_by_coach = auth.jwt() ->> 'email'
+        AND EXISTS (
+            SELECT 1 FROM user_profiles p
+            WHERE p.user_id = daily_targets.user_id
+              AND p.assigned_coach = auth.jwt() ->> 'email'
+        )
+    );
+
+DROP POLICY IF EXISTS "Coaches manage assigned client meal plans" ON meal_plans;
+CREATE POLICY "Coaches manage assigned client meal plans" ON meal_plans
+    FOR ALL
+    USING (EXISTS (
+        SELECT 1 FROM user_profiles p
+        WHERE p.user_id = meal_plans.user_id
+          AND p.assigned_coach = auth.jwt() ->> 'email'
+    ))
+    WITH CHECK (
+        assigned_by_coach = auth.jwt() ->> 'email'
+        AND EXISTS (
+            SELECT 1 FROM user_profiles p
+            WHERE p.user_id = meal_plans.user_id
+              AND p.assigned_coach = auth.jwt() ->> 'email'
+        )
+    );
+
+DROP POLICY IF EXISTS "Coaches record changes for assigned clients" ON coach_changes;
+CREATE POLICY "Coaches record changes for assigned clients" ON coach_changes
+    FOR INSERT
+    WITH CHECK (
+        coach_email = auth.jwt() ->> 'email'
+        AND EXISTS (
+            SELECT 1 FROM user_profiles p
+            WHERE p.user_id = coach_changes.client_user_id
+              AND p.assigned_coach = auth.jwt() ->> 'email'
+        )
+    );
+
+DROP POLICY IF EXISTS "Coaches view changes for assigned clients" ON coach_changes;
+CREATE POLICY "Coaches view changes for assigned clients" ON coach_changes
+    FOR SELECT
+    USING (EXISTS (
+        SELECT 1 FROM user_profiles p
+        WHERE p.user_id = coach_changes.client_user_id
+          AND p.assigned_coach = auth.jwt() ->> 'email'
+    ));
+
+DROP POLICY IF EXISTS "Clients view their coach changes" ON coach_changes;
+CREATE POLICY "Clients view their coach changes" ON coach_changes
+    FOR SELECT
+    USING (client_user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Owners view all coach changes" ON coach_changes;
+CREATE POLICY "Owners view all coach changes" ON coach_changes
+    FOR SELECT
+    USING (EXISTS (
+        SELECT 1 FROM user_roles r
+        WHERE r.user_id = auth.uid()
+          AND r.role IN ('owner', 'admin')
+    ));
+
+-- ----------------------------------------------------------------------------
+-- A client changing what their coach set makes it theirs: the coach stamp is
+-- cleared so the app stops showing "set by your coach" and the dashboard shows
+-- the client's own values. Saves that don't change anything keep the stamp.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION clear_coach_stamp_on_client_edit()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'daily_targets' THEN
+        IF OLD.set_by_coach IS NOT NULL
+           AND NEW.set_by_coach IS NOT DISTINCT FROM OLD.set_by_coach
+           AND (auth.jwt() ->> 'email') IS DISTINCT FROM OLD.set_by_coach
+           AND (NEW.daily_calories, NEW.daily_protein, NEW.daily_carbs, NEW.daily_fat, NEW.weekday_targets)
+               IS DISTINCT FROM (OLD.daily_calories, OLD.daily_protein, OLD.daily_carbs, OLD.daily_fat, OLD.weekday_targets) THEN
+            NEW.set_by_coach := NULL;
+            NEW.set_by_coach_at := NULL;
+            NEW.coach_note := NULL;
+        END IF;
+    ELSIF OLD.assigned_by_coach IS NOT NULL
+          AND NEW.assigned_by_coach IS NOT DISTINCT FROM OLD.assigned_by_coach
+          AND (auth.jwt() ->> 'email') IS DISTINCT FROM OLD.assigned_by_coach
+          AND NEW.week_data IS DISTINCT FROM OLD.week_data THEN
+        NEW.assigned_by_coach := NULL;
+        NEW.assigned_at := NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS daily_targets_clear_coach_stamp ON daily_targets;
+CREATE TRIGGER daily_targets_clear_coach_stamp
+    BEFORE UPDATE ON daily_targets
+    FOR EACH ROW
+    EXECUTE FUNCTION clear_coach_stamp_on_client_edit();
+
+DROP TRIGGER IF EXISTS meal_plans_clear_coach_stamp ON meal_plans;
+CREATE TRIGGER meal_plans_clear_coach_stamp
+    BEFORE UPDATE ON meal_plans
+    FOR EACH ROW
+    EXECUTE FUNCTION clear_coach_stamp_on_client_edit();
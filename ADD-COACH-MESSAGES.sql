@@ -0,0 +1,100 @@
+-- ============================================================================
+-- ADD COACH MESSAGES
+-- Coach-client message thread and per-day / per-entry coach comments.
+-- Access mirrors the coach assignment rules: a client sees their own thread,
+-- a coach sees threads of clients whose user_profiles.assigned_coach is them.
+-- Only read_at can be updated after sending.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS coach_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    client_user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    client_email TEXT,
+    coach_email TEXT NOT NULL,
+    sender_role TEXT NOT NULL CHECK (sender_role IN ('coach', 'client')),
+    sender_email TEXT,
+    body TEXT NOT NULL CHECK (char_length(body) BETWEEN 1 AND 2000),
+    context_type TEXT CHECK (context_type IS NULL OR context_type IN ('diary_day', 'progress_entry')),
+    context_date DATE,
+    context_ref TEXT,
+    read_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_coach_messages_thread ON coach_messages (client_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_coach_messages_unread ON coach_messages (coach_email, sender_role) WHERE read_at IS NULL;
+
+ALTER TABLE coach_messages ENABLE ROW LEVEL SECURITY;
+
+-- Messages can't be edited; only the read receipt changes
+REVOKE UPDATE ON coach_messages FROM authenticated;
+GRANT UPDATE (read_at) ON coach_messages TO authenticated;
+
+DROP POLICY IF EXISTS "Clients read own messages" ON coach_messages;
+CREATE POLICY "Clients read own messages" ON coach_messages
+    FOR SELECT
+    USING (client_user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Clients message their coach" ON coach_messages;
+CREATE POLICY "Clients message their coach" ON coach_messages
+    FOR INSERT
+    WITH CHECK (
+        client_user_id = auth.uid()
+        AND sender_role = 'client'
+        AND context_type IS NULL
+        AND EXISTS (
+            SELECT 1 FROM user_profiles p
+            WHERE p.user_id = auth.uid()
+              AND p.assigned_coach = coach_messages.coach_email
+        )
+    );
+
+DROP POLICY IF EXISTS "Clients mark coach messages read" ON coach_messages;
+CREATE POLICY "Clients mark coach messages read" ON coach_messages
+    FOR UPDATE
+    USING (client_user_id = auth.uid() AND sender_role = 'coach');
+
+DROP POLICY IF EXISTS "Coaches read assigned client messages" ON coach_messages;
+CREATE POLICY "Coaches read assigned client messages" ON coach_messages
+    FOR SELECT
+    USING (EXISTS (
+        SELECT 1 FROM user_profiles p
+        WHERE p.user_id = coach_messages.client_user_id
+          AND p.assigned_coach = auth.jwt() ->> 'email'
+    ));
+
+DROP POLICY IF EXISTS "Coaches message assigned clients" ON coach_messages;
+CREATE POLICY "Coaches message assigned clients" ON coach_messages
+    FOR INSERT
+    WITH CHECK (
+        sender_role = 'coach'
+        AND coach_email = auth.jwt() ->> 'email'
+        AND EXISTS (
+            SELECT 1 FROM user_profiles p
+            WHERE p.user_id = coach_messages.client_user_id
+              AND p.assigned_coach = auth.jwt() ->> 'email'
+        )
+    );
+
+DROP POLICY IF EXISTS "Coaches mark client messages read" ON coach_messages;
+CREATE POLICY "Coaches mark client messages read" ON coach_messages
+    FOR UPDATE
+    USING (
+        sender_role = 'client'
+        AND EXISTS (
+            SELECT 1 FROM user_profiles p
+            WHERE p.user_id = coach_messages.client_user_id
+              AND p.assigned_coach = auth.jwt() ->> 'email'
+        )
+    );
+
+-- Realtime delivery (SupabaseDB.subscribe); realtime also applies the SELECT policies
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND tablename = 'coach_messages'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE coach_messages;
+    END IF;
+END $$;
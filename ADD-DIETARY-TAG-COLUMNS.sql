@@ -0,0 +1,14 @@
+-- ============================================================================
+-- ADD DIETARY TAG COLUMNS
+-- Diet tags (vegetarian, vegan, gluten_free, dairy_free, nut_free, halal,
+-- low_fodmap) and allergen flags on custom recipes.
+-- Each user's restrictions live in user_preferences.custom_preferences
+-- under "dietaryRestrictions": { "diets": [...], "allergens": [...] }
+-- ============================================================================
+
+ALTER TABLE custom_recipes
+    ADD COLUMN IF NOT EXISTS dietary_tags TEXT[],
+    ADD COLUMN IF NOT EXISTS allergens TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_custom_recipes_dietary_tags ON custom_recipes USING GIN (dietary_tags);
+CREATE INDEX IF NOT EXISTS idx_custom_recipes_allergens ON custom_recipes USING GIN (allergens);
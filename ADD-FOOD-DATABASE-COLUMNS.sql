@@ -0,0 +1,11 @@
+-- ============================================================================
+-- ADD FOOD DATABASE COLUMNS
+-- Links daily_meals rows to the food database entry they were logged from
+-- ============================================================================
+
+ALTER TABLE daily_meals
+    ADD COLUMN IF NOT EXISTS food_id TEXT,
+    ADD COLUMN IF NOT EXISTS quantity_grams NUMERIC(7,1);
+
+CREATE INDEX IF NOT EXISTS idx_daily_meals_food_id ON daily_meals(food_id)
+    WHERE food_id IS NOT NULL;
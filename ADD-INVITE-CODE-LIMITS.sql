@@ -0,0 +1,188 @@
+-- ============================================================================
+-- ADD INVITE CODE LIMITS
+-- Expiry dates, redemption caps, campaign labels and target templates for
+-- coach invitation codes (invite-codes.js).
+-- validate_invitation_code now says why a code is unusable, and
+-- increment_invitation_code_usage refuses expired or exhausted codes, counts
+-- each signed-in user at most once per code (invite_code_uses) and applies the
+-- code's target template to the redeeming user's daily_targets.
+-- Run after ADD-COACH-ASSIGNED-TARGETS.sql (set_by_coach columns, coach_changes).
+-- ============================================================================
+
+ALTER TABLE invite_codes
+    ADD COLUMN IF NOT EXISTS coach_name TEXT,
+    ADD COLUMN IF NOT EXISTS coach_user_id UUID,
+    ADD COLUMN IF NOT EXISTS created_by TEXT,
+    ADD COLUMN IF NOT EXISTS description TEXT,
+    ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS max_uses INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS usage_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS current_uses INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS campaign TEXT,
+    ADD COLUMN IF NOT EXISTS target_template JSONB;
+
+-- One row per user who redeemed a code, so a use is only counted once
+CREATE TABLE IF NOT EXISTS invite_code_uses (
+    invite_code_id UUID NOT NULL REFERENCES invite_codes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (invite_code_id, user_id)
+);
+
+-- Only written by increment_invitation_code_usage
+ALTER TABLE invite_code_uses ENABLE ROW LEVEL SECURITY;
+
+-- ----------------------------------------------------------------------------
+-- validate_invitation_code: callable before signup (anon)
+-- reason: NULL when valid, else 'not_found' | 'inactive' | 'expired' | 'exhausted'
+-- ----------------------------------------------------------------------------
+
+DROP FUNCTION IF EXISTS validate_invitation_code(TEXT);
+CREATE FUNCTION validate_invitation_code(input_code TEXT)
+RETURNS TABLE (
+    code_id UUID,
+    coach_email TEXT,
+    coach_name TEXT,
+    campaign TEXT,
+    has_template BOOLEAN,
+    is_valid BOOLEAN,
+    reason TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    c invite_codes%ROWTYPE;
+BEGIN
+    SELECT * INTO c
+    FROM invite_codes
+    WHERE code = UPPER(TRIM(input_code))
+    ORDER BY is_active DESC, created_at DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT NULL::UUID, NULL::TEXT, NULL::TEXT, NULL::TEXT, FALSE, FALSE, 'not_found'::TEXT;
+        RETURN;
+    END IF;
+
+    RETURN QUERY SELECT
+        c.id,
+        c.coach_email,
+        COALESCE(c.coach_name, (SELECT p.user_name FROM user_profiles p WHERE p.user_email = c.coach_email LIMIT 1), c.coach_email),
+        c.campaign,
+        c.target_template IS NOT NULL,
+        reason_code IS NULL,
+        reason_code
+    FROM (SELECT CASE
+        WHEN NOT c.is_active THEN 'inactive'
+        WHEN c.expires_at IS NOT NULL AND c.expires_at <= NOW() THEN 'expired'
+        WHEN c.max_uses > 0 AND GREATEST(c.usage_count, c.current_uses) >= c.max_uses THEN 'exhausted'
+    END AS reason_code) r;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION validate_invitation_code(TEXT) TO anon, authenticated;
+
+-- ----------------------------------------------------------------------------
+-- increment_invitation_code_usage: called by the new client after signup
+-- Needs a session, so a capped code can't be used up without signing up.
+-- Returns FALSE when the code is unknown or no longer usable; TRUE when the use
+-- was counted now or this user had already redeemed the code.
+-- ----------------------------------------------------------------------------
+
+DROP FUNCTION IF EXISTS increment_invitation_code_usage(TEXT);
+CREATE FUNCTION increment_invitation_code_usage(input_code TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    c invite_codes%ROWTYPE;
+    found_id UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Sign in required';
+    END IF;
+
+    SELECT id INTO found_id
+    FROM invite_codes
+    WHERE code = UPPER(TRIM(input_code))
+      AND is_active
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    IF found_id IS NULL THEN
+        RETURN FALSE;
+    END IF;
+
+    -- Claim this user's use first; a repeat call (or a concurrent one) counts nothing
+    INSERT INTO invite_code_uses (invite_code_id, user_id)
+    VALUES (found_id, auth.uid())
+    ON CONFLICT DO NOTHING;
+    IF NOT FOUND THEN
+        RETURN TRUE;
+    END IF;
+
+    -- The WHERE clause re-checks the limits so concurrent signups can't exceed the cap
+    UPDATE invite_codes
+    SET usage_count = GREATEST(usage_count, current_uses) + 1,
+        current_uses = GREATEST(usage_count, current_uses) + 1,
+        updated_at = NOW()
+    WHERE id = found_id
+      AND is_active
+      AND (expires_at IS NULL OR expires_at > NOW())
+      AND (max_uses = 0 OR GREATEST(usage_count, current_uses) < max_uses)
+    RETURNING * INTO c;
+
+    IF NOT FOUND THEN
+        DELETE FROM invite_code_uses WHERE invite_code_id = found_id AND user_id = auth.uid();
+        RETURN FALSE;
+    END IF;
+
+    -- Starting targets from the code's template, shown as set by the coach
+    IF c.target_template IS NOT NULL
+       AND COALESCE((c.target_template ->> 'calories')::NUMERIC, 0) > 0 THEN
+        INSERT INTO daily_targets (
+            user_id, daily_calories, daily_protein, daily_carbs, daily_fat,
+            set_by_coach, set_by_coach_at, coach_note, updated_at
+        ) VALUES (
+            auth.uid(),
+            (c.target_template ->> 'calories')::NUMERIC,
+            COALESCE((c.target_template ->> 'protein')::NUMERIC, 0),
+            COALESCE((c.target_template ->> 'carbs')::NUMERIC, 0),
+            COALESCE((c.target_template ->> 'fat')::NUMERIC, 0),
+            c.coach_email,
+            NOW(),
+            c.target_template ->> 'note',
+            NOW()
+        )
+        ON CONFLICT (user_id) DO UPDATE SET
+            daily_calories = EXCLUDED.daily_calories,
+            daily_protein = EXCLUDED.daily_protein,
+            daily_carbs = EXCLUDED.daily_carbs,
+            daily_fat = EXCLUDED.daily_fat,
+            weekday_targets = NULL,
+            set_by_coach = EXCLUDED.set_by_coach,
+            set_by_coach_at = EXCLUDED.set_by_coach_at,
+            coach_note = EXCLUDED.coach_note,
+            updated_at = EXCLUDED.updated_at;
+
+        INSERT INTO coach_changes (client_user_id, client_email, coach_email, change_type, details, note)
+        VALUES (
+            auth.uid(),
+            auth.jwt() ->> 'email',
+            c.coach_email,
+            'targets',
+            jsonb_build_object('base', c.target_template - 'note', 'invite_code', c.code),
+            c.target_template ->> 'note'
+        );
+    END IF;
+
+    RETURN TRUE;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION increment_invitation_code_usage(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION increment_invitation_code_usage(TEXT) TO authenticated;
@@ -0,0 +1,185 @@
+-- ============================================================================
+-- ADD INVITE FUNNEL
+-- Funnel events per invitation code in invite_code_redemptions (invite-funnel.js):
+-- link_opened, signup_started, account_created, first_meal_logged, active_7d,
+-- active_30d. Existing redemption rows count as account_created.
+-- Events are only written through record_invite_event, which looks up the
+-- code's coach and checks each milestone server-side. Pre-signup events are
+-- anonymous, so they're kept once per code/session/event and capped per code.
+-- Run after ADD-INVITE-CODE-LIMITS.sql.
+-- ============================================================================
+
+ALTER TABLE invite_code_redemptions
+    ADD COLUMN IF NOT EXISTS event TEXT NOT NULL DEFAULT 'account_created',
+    ADD COLUMN IF NOT EXISTS session_id TEXT;
+
+ALTER TABLE invite_code_redemptions
+    DROP CONSTRAINT IF EXISTS invite_code_redemptions_event_check;
+ALTER TABLE invite_code_redemptions
+    ADD CONSTRAINT invite_code_redemptions_event_check CHECK (event IN (
+        'link_opened', 'signup_started', 'account_created', 'first_meal_logged', 'active_7d', 'active_30d'
+    ));
+
+CREATE INDEX IF NOT EXISTS idx_invite_redemptions_coach_event ON invite_code_redemptions (coach_email, code, event);
+CREATE INDEX IF NOT EXISTS idx_invite_redemptions_user_event ON invite_code_redemptions (user_id, event);
+
+-- One pre-signup event per code, session and event
+DELETE FROM invite_code_redemptions r
+USING invite_code_redemptions d
+WHERE r.event IN ('link_opened', 'signup_started')
+  AND d.event = r.event
+  AND d.code = r.code
+  AND d.session_id = r.session_id
+  AND d.ctid < r.ctid;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invite_redemptions_session_event
+    ON invite_code_redemptions (code, session_id, event)
+    WHERE session_id IS NOT NULL AND event IN ('link_opened', 'signup_started');
+CREATE INDEX IF NOT EXISTS idx_invite_redemptions_presignup_time
+    ON invite_code_redemptions (code, redeemed_at)
+    WHERE event IN ('link_opened', 'signup_started');
+
+ALTER TABLE invite_code_redemptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Coaches view own invite funnel" ON invite_code_redemptions;
+CREATE POLICY "Coaches view own invite funnel" ON invite_code_redemptions
+    FOR SELECT
+    USING (coach_email = auth.jwt() ->> 'email');
+
+DROP POLICY IF EXISTS "Owners view all invite funnels" ON invite_code_redemptions;
+CREATE POLICY "Owners view all invite funnels" ON invite_code_redemptions
+    FOR SELECT
+    USING (EXISTS (
+        SELECT 1 FROM user_roles r
+        WHERE r.user_id = auth.uid()
+          AND r.role IN ('owner', 'admin')
+    ));
+
+-- Direct redemption inserts (admin codes in index.html); the code must be the
+-- one in the user's own profile and match a real invite code and its coach
+DROP POLICY IF EXISTS "Users record own redemption" ON invite_code_redemptions;
+CREATE POLICY "Users record own redemption" ON invite_code_redemptions
+    FOR INSERT
+    WITH CHECK (
+        user_id = auth.uid()
+        AND event = 'account_created'
+        AND EXISTS (
+            SELECT 1 FROM user_profiles p
+            WHERE p.user_id = auth.uid()
+              AND UPPER(p.coach_invite_code) = UPPER(invite_code_redemptions.code)
+        )
+        AND EXISTS (
+            SELECT 1 FROM invite_codes c
+            WHERE c.id = invite_code_redemptions.invite_code_id
+              AND c.code = invite_code_redemptions.code
+              AND c.coach_email IS NOT DISTINCT FROM invite_code_redemptions.coach_email
+        )
+    );
+
+DROP POLICY IF EXISTS "Owners record redemptions" ON invite_code_redemptions;
+CREATE POLICY "Owners record redemptions" ON invite_code_redemptions
+    FOR INSERT
+    WITH CHECK (EXISTS (
+        SELECT 1 FROM user_roles r
+        WHERE r.user_id = auth.uid()
+          AND r.role IN ('owner', 'admin')
+    ));
+
+-- ----------------------------------------------------------------------------
+-- record_invite_event
+-- input_code is only used for link_opened/signup_started; milestones always use
+-- the signed-in user's own user_profiles.coach_invite_code.
+-- active_7d/active_30d need a meal logged for a day at least 7/30 days after signup.
+-- Returns 'recorded' (now or earlier), 'not_yet' (milestone not reached) or 'no_code'.
+-- link_opened/signup_started return 'recorded' for any code with a session, also
+-- unknown codes and events over the hourly cap, so they can't be used to probe codes.
+-- ----------------------------------------------------------------------------
+
+DROP FUNCTION IF EXISTS record_invite_event(TEXT, TEXT, TEXT);
+CREATE FUNCTION record_invite_event(input_code TEXT, input_event TEXT, funnel_session TEXT DEFAULT NULL)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    uid UUID := auth.uid();
+    c invite_codes%ROWTYPE;
+    hourly_cap CONSTANT INTEGER := 500;
+    joined_at TIMESTAMPTZ;
+    occurred TIMESTAMPTZ := NOW();
+    lookup_code TEXT;
+BEGIN
+    IF input_event NOT IN ('link_opened', 'signup_started', 'account_created', 'first_meal_logged', 'active_7d', 'active_30d') THEN
+        RAISE EXCEPTION 'Unknown invite funnel event: %', input_event;
+    END IF;
+
+    IF input_event IN ('link_opened', 'signup_started') THEN
+        IF NULLIF(TRIM(funnel_session), '') IS NULL OR LENGTH(funnel_session) > 64 THEN
+            RETURN 'not_yet';
+        END IF;
+        lookup_code := UPPER(TRIM(input_code));
+    ELSIF uid IS NOT NULL THEN
+        -- Milestones count towards the code the user actually joined with
+        SELECT UPPER(p.coach_invite_code) INTO lookup_code FROM user_profiles p WHERE p.user_id = uid LIMIT 1;
+    END IF;
+
+    SELECT * INTO c FROM invite_codes
+    WHERE code = lookup_code
+    ORDER BY is_active DESC, created_at DESC
+    LIMIT 1;
+    IF NOT FOUND THEN
+        RETURN CASE WHEN input_event IN ('link_opened', 'signup_started') THEN 'recorded' ELSE 'no_code' END;
+    END IF;
+
+    IF input_event IN ('link_opened', 'signup_started') THEN
+        IF (SELECT COUNT(*) FROM invite_code_redemptions
+            WHERE code = c.code
+              AND event IN ('link_opened', 'signup_started')
+              AND redeemed_at > NOW() - INTERVAL '1 hour') >= hourly_cap THEN
+            RETURN 'recorded';
+        END IF;
+
+        INSERT INTO invite_code_redemptions (invite_code_id, code, coach_email, event, session_id, redeemed_at)
+        VALUES (c.id, c.code, c.coach_email, input_event, funnel_session, occurred)
+        ON CONFLICT (code, session_id, event)
+            WHERE session_id IS NOT NULL AND event IN ('link_opened', 'signup_started')
+            DO NOTHING;
+        RETURN 'recorded';
+    ELSE
+        -- Milestones belong to the signed-in user and are checked here, not trusted from the browser
+        IF uid IS NULL THEN
+            RETURN 'not_yet';
+        END IF;
+        IF EXISTS (SELECT 1 FROM invite_code_redemptions
+                   WHERE code = c.code AND user_id = uid AND event = input_event) THEN
+            RETURN 'recorded';
+        END IF;
+
+        SELECT u.created_at INTO joined_at FROM auth.users u WHERE u.id = uid;
+        IF input_event = 'account_created' THEN
+            occurred := COALESCE(joined_at, NOW());
+        ELSIF input_event = 'first_meal_logged' THEN
+            IF NOT EXISTS (SELECT 1 FROM daily_meals m WHERE m.user_id = uid) THEN
+                RETURN 'not_yet';
+            END IF;
+        ELSIF input_event IN ('active_7d', 'active_30d') THEN
+            IF joined_at IS NULL OR NOT EXISTS (
+                SELECT 1 FROM daily_meals m
+                WHERE m.user_id = uid
+                  AND m.meal_date::DATE >= (joined_at + CASE input_event WHEN 'active_7d' THEN INTERVAL '7 days' ELSE INTERVAL '30 days' END)::DATE
+                  AND m.meal_date::DATE <= CURRENT_DATE
+            ) THEN
+                RETURN 'not_yet';
+            END IF;
+        END IF;
+    END IF;
+
+    INSERT INTO invite_code_redemptions (invite_code_id, code, user_id, user_email, coach_email, event, session_id, redeemed_at)
+    VALUES (c.id, c.code, uid, auth.jwt() ->> 'email', c.coach_email, input_event, funnel_session, occurred);
+
+    RETURN 'recorded';
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_invite_event(TEXT, TEXT, TEXT) TO anon, authenticated;
@@ -0,0 +1,30 @@
+-- ============================================================================
+-- ADD MACRO CALCULATION METHOD COLUMNS
+-- Records which BMR formula and macro split produced each macro_calculations row
+-- ============================================================================
+
+ALTER TABLE macro_calculations
+    ADD COLUMN IF NOT EXISTS bmr_formula TEXT DEFAULT 'harris_benedict',
+    ADD COLUMN IF NOT EXISTS macro_split TEXT DEFAULT 'standard',
+    ADD COLUMN IF NOT EXISTS carbs_percent NUMERIC(5,1),
+    ADD COLUMN IF NOT EXISTS protein_percent NUMERIC(5,1),
+    ADD COLUMN IF NOT EXISTS fat_percent NUMERIC(5,1),
+    ADD COLUMN IF NOT EXISTS protein_per_kg NUMERIC(4,2),
+    ADD COLUMN IF NOT EXISTS body_fat_percent NUMERIC(4,1);
+
+ALTER TABLE macro_calculations
+    DROP CONSTRAINT IF EXISTS macro_calculations_bmr_formula_check;
+ALTER TABLE macro_calculations
+    ADD CONSTRAINT macro_calculations_bmr_formula_check
+    CHECK (bmr_formula IN ('harris_benedict', 'mifflin_st_jeor', 'katch_mcardle', 'cunningham'));
+
+ALTER TABLE macro_calculations
+    DROP CONSTRAINT IF EXISTS macro_calculations_macro_split_check;
+ALTER TABLE macro_calculations
+    ADD CONSTRAINT macro_calculations_macro_split_check
+    CHECK (macro_split IN ('standard', 'high_protein', 'keto', 'zone', 'endurance', 'custom'));
+
+-- Existing rows were all calculated with Harris-Benedict and a 40/30/30 split
+UPDATE macro_calculations
+SET carbs_percent = 40, protein_percent = 30, fat_percent = 30
+WHERE carbs_percent IS NULL;
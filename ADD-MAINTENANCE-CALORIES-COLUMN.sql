@@ -0,0 +1,9 @@
+-- ============================================================================
+-- ADD MAINTENANCE CALORIES COLUMN
+-- Estimated maintenance calories (TDEE) behind the daily targets, used by the
+-- progress tracker to check weight trend against logged intake
+-- ============================================================================
+
+ALTER TABLE daily_targets
+    ADD COLUMN IF NOT EXISTS maintenance_calories INTEGER
+        CHECK (maintenance_calories IS NULL OR maintenance_calories > 0);
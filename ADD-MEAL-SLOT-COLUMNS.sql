@@ -0,0 +1,13 @@
+-- ============================================================================
+-- ADD MEAL SLOT COLUMNS
+-- Breakfast/lunch/dinner/snacks slot on daily_meals and per-slot calorie
+-- budgets (percent of daily calories) on daily_targets
+-- ============================================================================
+
+ALTER TABLE daily_meals
+    ADD COLUMN IF NOT EXISTS meal_slot TEXT
+        CHECK (meal_slot IS NULL OR meal_slot IN ('breakfast', 'lunch', 'dinner', 'snacks'));
+
+-- e.g. {"breakfast": 25, "lunch": 30, "dinner": 30, "snacks": 15}
+ALTER TABLE daily_targets
+    ADD COLUMN IF NOT EXISTS slot_budgets JSONB;
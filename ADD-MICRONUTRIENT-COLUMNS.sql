@@ -0,0 +1,29 @@
+-- ============================================================================
+-- ADD MICRONUTRIENT COLUMNS
+-- Fiber, sugar, sodium and saturated fat columns plus a micronutrients JSONB
+-- (vitamins/minerals keyed by name, e.g. {"vitaminC": 45, "iron": 3.2})
+-- ============================================================================
+
+-- Logged meals
+ALTER TABLE daily_meals
+    ADD COLUMN IF NOT EXISTS fiber NUMERIC(6,1),
+    ADD COLUMN IF NOT EXISTS sugar NUMERIC(6,1),
+    ADD COLUMN IF NOT EXISTS sodium NUMERIC(7,1),
+    ADD COLUMN IF NOT EXISTS saturated_fat NUMERIC(6,1),
+    ADD COLUMN IF NOT EXISTS micronutrients JSONB DEFAULT '{}'::jsonb;
+
+-- User recipes
+ALTER TABLE custom_recipes
+    ADD COLUMN IF NOT EXISTS fiber NUMERIC(6,1),
+    ADD COLUMN IF NOT EXISTS sugar NUMERIC(6,1),
+    ADD COLUMN IF NOT EXISTS sodium NUMERIC(7,1),
+    ADD COLUMN IF NOT EXISTS saturated_fat NUMERIC(6,1),
+    ADD COLUMN IF NOT EXISTS micronutrients JSONB DEFAULT '{}'::jsonb;
+
+-- Daily targets (fiber is a minimum; sugar, sodium and saturated fat are limits)
+ALTER TABLE daily_targets
+    ADD COLUMN IF NOT EXISTS fiber NUMERIC(6,1),
+    ADD COLUMN IF NOT EXISTS sugar NUMERIC(6,1),
+    ADD COLUMN IF NOT EXISTS sodium NUMERIC(7,1),
+    ADD COLUMN IF NOT EXISTS saturated_fat NUMERIC(6,1),
+    ADD COLUMN IF NOT EXISTS micronutrients JSONB DEFAULT '{}'::jsonb;
@@ -0,0 +1,150 @@
+-- ============================================================================
+-- ADD OWNER ACCESS
+-- Owner portal access decided by the database instead of a key and e-mail
+-- embedded in the page (owner-access.js, secure-owner-access.html).
+-- - get_owner_access() tells the signed-in user their role and second-factor state
+-- - Owners/admins who enrolled a TOTP factor (Supabase Auth MFA) only count as
+--   owner/admin in a session verified with it (JWT aal = 'aal2')
+-- - user_roles RLS: users see their own row (owner/admin rows only once the
+--   second factor is satisfied), so every existing policy that checks
+--   "EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = auth.uid() AND r.role
+--   IN ('owner', 'admin'))" enforces the second factor too; users can only add a
+--   'client' role for themselves
+-- Enable TOTP under Authentication > Multi-Factor in the Supabase dashboard.
+-- Run after ADD-CLIENT-TRANSFERS.sql.
+-- ============================================================================
+
+-- Second factor satisfied: no verified TOTP factor, or this session used it
+CREATE OR REPLACE FUNCTION mfa_satisfied()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(auth.jwt() ->> 'aal', 'aal1') = 'aal2'
+        OR NOT EXISTS (
+            SELECT 1 FROM auth.mfa_factors f
+            WHERE f.user_id = auth.uid()
+              AND f.factor_type = 'totp'
+              AND f.status = 'verified'
+        );
+$$;
+
+-- Reads user_roles as the definer, so it is safe to use inside user_roles policies
+CREATE OR REPLACE FUNCTION is_owner_or_admin()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM user_roles r
+        WHERE r.user_id = auth.uid()
+          AND r.role IN ('owner', 'admin')
+    ) AND mfa_satisfied();
+$$;
+
+GRANT EXECUTE ON FUNCTION mfa_satisfied() TO authenticated;
+GRANT EXECUTE ON FUNCTION is_owner_or_admin() TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- get_owner_access: what the owner portal shows after sign-in
+-- access_granted is only TRUE for owner/admin with the second factor satisfied
+-- ----------------------------------------------------------------------------
+
+DROP FUNCTION IF EXISTS get_owner_access();
+CREATE FUNCTION get_owner_access()
+RETURNS TABLE (
+    user_role TEXT,
+    is_owner_role BOOLEAN,
+    mfa_enrolled BOOLEAN,
+    mfa_verified BOOLEAN,
+    access_granted BOOLEAN
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    found_role TEXT;
+    enrolled BOOLEAN;
+BEGIN
+    SELECT r.role INTO found_role
+    FROM user_roles r
+    WHERE r.user_id = auth.uid()
+    ORDER BY CASE r.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END
+    LIMIT 1;
+
+    SELECT EXISTS (
+        SELECT 1 FROM auth.mfa_factors f
+        WHERE f.user_id = auth.uid()
+          AND f.factor_type = 'totp'
+          AND f.status = 'verified'
+    ) INTO enrolled;
+
+    RETURN QUERY SELECT
+        found_role,
+        COALESCE(found_role IN ('owner', 'admin'), FALSE),
+        enrolled,
+        COALESCE(auth.jwt() ->> 'aal', 'aal1') = 'aal2',
+        is_owner_or_admin();
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_owner_access() TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- user_roles RLS
+-- ----------------------------------------------------------------------------
+
+ALTER TABLE user_roles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users view own role" ON user_roles;
+CREATE POLICY "Users view own role" ON user_roles
+    FOR SELECT
+    USING (user_id = auth.uid() AND (role NOT IN ('owner', 'admin') OR mfa_satisfied()));
+
+DROP POLICY IF EXISTS "Owners view all roles" ON user_roles;
+CREATE POLICY "Owners view all roles" ON user_roles
+    FOR SELECT
+    USING (is_owner_or_admin());
+
+-- New accounts register themselves as clients (EMAIL-INVITATION-FIX.js)
+DROP POLICY IF EXISTS "Users add own client role" ON user_roles;
+CREATE POLICY "Users add own client role" ON user_roles
+    FOR INSERT
+    WITH CHECK (user_id = auth.uid() AND role = 'client');
+
+DROP POLICY IF EXISTS "Owners manage roles" ON user_roles;
+CREATE POLICY "Owners manage roles" ON user_roles
+    FOR ALL
+    USING (is_owner_or_admin())
+    WITH CHECK (is_owner_or_admin());
+
+-- ----------------------------------------------------------------------------
+-- SECURITY DEFINER functions bypass the policies above; transfer_clients and
+-- undo_client_transfer both write client_transfers, so check the caller there
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION require_owner_second_factor()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT is_owner_or_admin() THEN
+        RAISE EXCEPTION 'Owner access with a verified second factor is required';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS client_transfers_require_owner ON client_transfers;
+CREATE TRIGGER client_transfers_require_owner
+    BEFORE INSERT OR UPDATE ON client_transfers
+    FOR EACH ROW
+    EXECUTE FUNCTION require_owner_second_factor();
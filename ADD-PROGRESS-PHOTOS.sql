@@ -0,0 +1,69 @@
+-- ============================================================================
+-- ADD PROGRESS PHOTOS
+-- Private storage bucket and progress_photos table for front/side/back photos
+-- backed up from progress entries. Photos stay on the device unless the user
+-- turns on cloud backup. Only the user and their assigned coach can read
+-- them; coaches get short-lived signed URLs.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS progress_photos (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    user_email TEXT,
+    entry_uuid TEXT NOT NULL,
+    entry_date DATE NOT NULL,
+    pose TEXT NOT NULL CHECK (pose IN ('front', 'side', 'back')),
+    storage_path TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, entry_uuid, pose)
+);
+
+CREATE INDEX IF NOT EXISTS idx_progress_photos_user_date ON progress_photos (user_id, entry_date);
+CREATE INDEX IF NOT EXISTS idx_progress_photos_email ON progress_photos (user_email);
+
+ALTER TABLE progress_photos ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users manage own progress photos" ON progress_photos;
+CREATE POLICY "Users manage own progress photos" ON progress_photos
+    FOR ALL
+    USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid() AND storage_path LIKE auth.uid()::text || '/%');
+
+DROP POLICY IF EXISTS "Coaches view assigned client photos" ON progress_photos;
+CREATE POLICY "Coaches view assigned client photos" ON progress_photos
+    FOR SELECT
+    USING (EXISTS (
+        SELECT 1 FROM user_profiles p
+        WHERE p.user_id = progress_photos.user_id
+          AND p.assigned_coach = auth.jwt() ->> 'email'
+    ));
+
+DROP POLICY IF EXISTS "Owners view all progress photos" ON progress_photos;
+
+-- ----------------------------------------------------------------------------
+-- Storage: objects live at <user_id>/<entry id>/<pose>.jpg
+-- ----------------------------------------------------------------------------
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('progress-photos', 'progress-photos', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Users manage own progress photo files" ON storage.objects;
+CREATE POLICY "Users manage own progress photo files" ON storage.objects
+    FOR ALL
+    USING (bucket_id = 'progress-photos' AND (storage.foldername(name))[1] = auth.uid()::text)
+    WITH CHECK (bucket_id = 'progress-photos' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+DROP POLICY IF EXISTS "Coaches view assigned client photo files" ON storage.objects;
+CREATE POLICY "Coaches view assigned client photo files" ON storage.objects
+    FOR SELECT
+    USING (
+        bucket_id = 'progress-photos'
+        AND EXISTS (
+            SELECT 1 FROM user_profiles p
+            WHERE p.user_id::text = (storage.foldername(name))[1]
+              AND p.assigned_coach = auth.jwt() ->> 'email'
+        )
+    );
+
+DROP POLICY IF EXISTS "Owners view all progress photo files" ON storage.objects;
@@ -0,0 +1,10 @@
+-- ============================================================================
+-- ADD RECIPE BUILDER COLUMNS
+-- Structured ingredients (food id, quantity, unit, grams) and the number of
+-- servings a custom recipe makes; calories/protein/carbs/fat stay per serving
+-- ============================================================================
+
+ALTER TABLE custom_recipes
+    ADD COLUMN IF NOT EXISTS ingredient_items JSONB DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS serving_count NUMERIC(5,1) DEFAULT 1
+        CHECK (serving_count > 0);
@@ -0,0 +1,58 @@
+-- ============================================================================
+-- ADD REPLACE DAILY MEALS
+-- replace_daily_meals swaps a user's whole diary day in one transaction, so a
+-- dropped connection during offline sync (database-error-recovery.js) can't
+-- leave the day deleted but not rewritten.
+-- Runs as the caller, so the daily_meals RLS policies still apply.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- replace_daily_meals
+-- meal_rows: daily_meals rows as JSON; unknown keys and id/created_at/updated_at
+-- are ignored, user_id and meal_date are always meal_user / day.
+-- Returns the number of meals written.
+-- ----------------------------------------------------------------------------
+
+DROP FUNCTION IF EXISTS replace_daily_meals(UUID, TEXT, JSONB);
+CREATE FUNCTION replace_daily_meals(meal_user UUID, day TEXT, meal_rows JSONB)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+    meal JSONB;
+    column_list TEXT;
+    written INTEGER := 0;
+BEGIN
+    IF auth.uid() IS NULL OR meal_user IS DISTINCT FROM auth.uid() THEN
+        RAISE EXCEPTION 'Meals can only be replaced for the signed-in user';
+    END IF;
+    IF jsonb_typeof(meal_rows) IS DISTINCT FROM 'array' THEN
+        RAISE EXCEPTION 'meal_rows must be an array';
+    END IF;
+
+    DELETE FROM daily_meals WHERE user_id = meal_user AND meal_date::TEXT = day;
+
+    FOR meal IN SELECT * FROM jsonb_array_elements(meal_rows) LOOP
+        meal := meal - 'id' - 'created_at' - 'updated_at'
+            || jsonb_build_object('user_id', meal_user, 'meal_date', day);
+
+        SELECT string_agg(quote_ident(c.column_name), ', ') INTO column_list
+        FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = 'daily_meals'
+          AND meal ? c.column_name;
+
+        EXECUTE format(
+            'INSERT INTO daily_meals (%s) SELECT %s FROM jsonb_populate_record(NULL::daily_meals, $1)',
+            column_list, column_list
+        ) USING meal;
+        written := written + 1;
+    END LOOP;
+
+    RETURN written;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION replace_daily_meals(UUID, TEXT, JSONB) TO authenticated;
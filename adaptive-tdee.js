@@ -0,0 +1,162 @@
+/**
+ * ADAPTIVE TDEE
+ *
+ * Estimates real maintenance calories from logged intake and weigh-ins, and
+ * suggests updated daily targets when the estimate drifts from the current one.
+ * - Maintenance ≈ average logged intake − trend weight change × kcal per lb
+ *   over a rolling window (trend from weight-trend.js)
+ * - Days logged well under the calorie goal are treated as incomplete and skipped
+ * - Each update moves maintenance by at most `maxStep`, keeping the user's goal
+ *   adjustment (targets − maintenance) unchanged
+ * - Settings { autoApply, lastAppliedAt, dismissedAt } are kept in localStorage
+ *   and synced to user_preferences.custom_preferences by app.html
+ */
+
+class AdaptiveTdee {
+    constructor() {
+        this.windowDays = 28;
+        this.minWindowDays = 14;       // weigh-ins must span at least two weeks
+        this.minLoggedDays = 14;
+        this.incompleteDayRatio = 0.5; // days under half the calorie goal look partially logged
+        this.minChange = 75;           // smaller drifts aren't worth a new target
+        this.maxStep = 250;            // largest maintenance change per update
+        this.applyIntervalDays = 7;    // auto-apply / re-suggest at most weekly
+
+        this.storageKey = 'adaptiveTdeeSettings';
+    }
+
+    /**
+     * Maintenance estimate over the rolling window
+     * @param {Object} data - { entries: progress entries, history: macro history }
+     * @returns {Object} { status, maintenance, averageIntake, weeklyRate, loggedDays, skippedDays, windowStart, windowEnd }
+     *   status: 'ready' | 'not_enough_weigh_ins' | 'not_enough_logging'
+     */
+    estimate({ entries, history }) {
+        const trend = window.weightTrend;
+        const series = trend.smooth(entries);
+        const weeklyRate = trend.getWeeklyRate(series, this.windowDays);
+        if (series.length === 0 || weeklyRate === null) {
+            return { status: 'not_enough_weigh_ins' };
+        }
+
+        const windowEnd = series[series.length - 1].day;
+        const windowPoints = series.filter(point => windowEnd - point.day <= this.windowDays);
+        if (windowEnd - windowPoints[0].day < this.minWindowDays) {
+            return { status: 'not_enough_weigh_ins' };
+        }
+        const windowStart = windowPoints[0].day;
+
+        const inWindow = (history || []).filter(entry => {
+            const day = trend.toDayNumber(entry.date);
+            return entry.calories > 0 && day >= windowStart && day <= windowEnd;
+        });
+        const logged = inWindow.filter(entry =>
+            !(entry.caloriesGoal > 0) || entry.calories >= entry.caloriesGoal * this.incompleteDayRatio
+        );
+        if (logged.length < this.minLoggedDays) {
+            return { status: 'not_enough_logging', loggedDays: logged.length, skippedDays: inWindow.length - logged.length };
+        }
+
+        const averageIntake = logged.reduce((sum, entry) => sum + entry.calories, 0) / logged.length;
+        const maintenance = averageIntake - (weeklyRate * trend.kcalPerUnit) / 7;
+
+        return {
+            status: 'ready',
+            maintenance: Math.round(maintenance),
+            averageIntake: Math.round(averageIntake),
+            weeklyRate: Math.round(weeklyRate * 100) / 100,
+            loggedDays: logged.length,
+            skippedDays: inWindow.length - logged.length,
+            windowStart: trend.fromDayNumber(windowStart),
+            windowEnd: trend.fromDayNumber(windowEnd)
+        };
+    }
+
+    /**
+     * Suggested target change for an estimate, or null when targets can stay
+     * @param {Object} estimate - Output of estimate()
+     * @param {Object} targets - Current daily targets (needs calories and maintenance)
+     * @returns {Object|null} { previousMaintenance, maintenance, previousCalories, calories, capped, reason }
+     */
+    suggest(estimate, targets) {
+        if (!estimate || estimate.status !== 'ready') return null;
+        if (!(targets?.maintenance > 0) || !(targets?.calories > 0)) return null;
+
+        const drift = estimate.maintenance - targets.maintenance;
+        if (Math.abs(drift) < this.minChange) return null;
+
+        const step = Math.max(-this.maxStep, Math.min(this.maxStep, drift));
+        const maintenance = targets.maintenance + step;
+        const calories = Math.round(targets.calories + step);
+
+        const suggestion = {
+            previousMaintenance: targets.maintenance,
+            maintenance,
+            previousCalories: targets.calories,
+            calories,
+            capped: step !== drift
+        };
+        suggestion.reason = this.describe(estimate, suggestion);
+        return suggestion;
+    }
+
+    /**
+     * Plain-language explanation stored with the macro_calculations record
+     */
+    describe(estimate, suggestion) {
+        const rate = `${estimate.weeklyRate >= 0 ? '+' : ''}${estimate.weeklyRate.toFixed(2)} lbs/week`;
+        const parts = [
+            `Averaged ${estimate.averageIntake.toLocaleString()} kcal over ${estimate.loggedDays} logged days (${estimate.windowStart} to ${estimate.windowEnd}) while trend weight changed ${rate}`,
+            `so maintenance is about ${estimate.maintenance.toLocaleString()} kcal, not ${suggestion.previousMaintenance.toLocaleString()} kcal`,
+            `Daily calories ${suggestion.previousCalories.toLocaleString()} → ${suggestion.calories.toLocaleString()} kcal`
+        ];
+        if (suggestion.capped) {
+            parts.push(`change limited to ${this.maxStep} kcal per update`);
+        }
+        if (estimate.skippedDays > 0) {
+            parts.push(`${estimate.skippedDays} partially logged day${estimate.skippedDays === 1 ? '' : 's'} ignored`);
+        }
+        return `${parts[0]}, ${parts[1]}. ${parts.slice(2).join('; ')}.`;
+    }
+
+    getSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return {
+                autoApply: stored.autoApply === true,
+                lastAppliedAt: stored.lastAppliedAt || null,
+                dismissedAt: stored.dismissedAt || null
+            };
+        } catch (error) {
+            console.warn('⚠️ Invalid adaptive TDEE settings, using defaults');
+            return { autoApply: false, lastAppliedAt: null, dismissedAt: null };
+        }
+    }
+
+    setSettings(settings) {
+        const merged = { ...this.getSettings(), ...settings };
+        localStorage.setItem(this.storageKey, JSON.stringify(merged));
+        return merged;
+    }
+
+    /**
+     * True when the last apply/dismiss was at least `applyIntervalDays` ago
+     */
+    isDue(settings = this.getSettings(), now = new Date()) {
+        const last = [settings.lastAppliedAt, settings.dismissedAt]
+            .filter(Boolean)
+            .map(value => new Date(value).getTime())
+            .sort((a, b) => b - a)[0];
+        return !last || now.getTime() - last >= this.applyIntervalDays * 86400000;
+    }
+}
+
+// Create global instance
+window.adaptiveTdee = new AdaptiveTdee();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('adaptiveTdee', window.adaptiveTdee);
+}
+
+console.logInfo('✅ Adaptive TDEE loaded');
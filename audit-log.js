@@ -0,0 +1,129 @@
+/**
+ * AUDIT LOG
+ *
+ * Persistent record of privileged changes in the owner portal and the coach
+ * dashboard, kept in the append-only audit_log table.
+ * - Changes to assignments, invite codes, coach targets and meal plans, app
+ *   errors and client transfers are logged by database triggers, in the same
+ *   transaction as the change
+ * - record() covers the owner actions that change no table (data export,
+ *   two-factor enrollment); the server fills in who, their role and when
+ * - search() backs the audit viewer in the owner portal
+ * Table, triggers and functions are in ADD-AUDIT-LOG.sql.
+ */
+
+class AuditLog {
+    constructor() {
+        this.table = 'audit_log';
+        this.pageSize = 50;
+        this.actions = [
+            { key: 'client.assign', label: 'Assigned client to coach' },
+            { key: 'client.unassign', label: 'Unassigned client' },
+            { key: 'clients.bulk', label: 'Bulk client transfer' },
+            { key: 'clients.offboard', label: 'Coach offboarded' },
+            { key: 'clients.transfer_undo', label: 'Transfer undone' },
+            { key: 'invite_code.create', label: 'Created invite code' },
+            { key: 'invite_code.deactivate', label: 'Deactivated invite code' },
+            { key: 'targets.assign', label: 'Assigned client targets' },
+            { key: 'meal_plan.assign', label: 'Assigned meal plan' },
+            { key: 'data.export', label: 'Exported data' },
+            { key: 'mfa.enroll', label: 'Turned on two-factor' },
+            { key: 'client_errors.clear', label: 'Marked app error fixed' }
+        ];
+    }
+
+    /**
+     * The page a change was made from, e.g. 'coach-dashboard'
+     */
+    source() {
+        return window.location.pathname.split('/').pop().replace(/\.html$/, '') || 'index';
+    }
+
+    /**
+     * Record an owner action that already happened; never throws, so a logging problem
+     * doesn't report a successful change as failed
+     * @param {Object} entry - { action, targetUser, targetTable, targetId, before, after, details }
+     * @returns {number|null} the audit_log id, null if it wasn't recorded
+     */
+    async record({ action, targetUser = null, targetTable = null, targetId = null, before = null, after = null, details = null }) {
+        if (!window.supabaseClient) return null;
+        try {
+            const { data, error } = await window.supabaseClient.rpc('record_audit_event', {
+                audit_action: action,
+                audit_target_user: targetUser,
+                audit_target_table: targetTable,
+                audit_target_id: targetId == null ? null : String(targetId),
+                audit_before: before,
+                audit_after: after,
+                audit_details: details,
+                audit_source: this.source()
+            });
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.warn(`⚠️ Audit event ${action} not recorded:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Newest first
+     * @param {Object} filters - { actor, action, from, to, text } - from/to are YYYY-MM-DD,
+     *   actor and text match partially; text searches the target user, record and table
+     * @returns {Object} { rows, hasMore }
+     */
+    async search({ actor = '', action = '', from = '', to = '', text = '' } = {}, page = 0) {
+        if (!window.supabaseClient) throw new Error('Supabase client not available');
+
+        let query = window.supabaseClient
+            .from(this.table)
+            .select('*')
+            .order('created_at', { ascending: false })
+            .range(page * this.pageSize, (page + 1) * this.pageSize);
+
+        const like = value => `%${value.replace(/[%_,()]/g, '')}%`;
+        if (actor.trim()) query = query.ilike('actor_email', like(actor.trim()));
+        if (action) query = query.eq('action', action);
+        if (from) query = query.gte('created_at', new Date(`${from}T00:00:00`).toISOString());
+        if (to) query = query.lt('created_at', new Date(new Date(`${to}T00:00:00`).getTime() + 24 * 60 * 60 * 1000).toISOString());
+        if (text.trim()) {
+            const pattern = like(text.trim());
+            query = query.or(`target_user.ilike.${pattern},target_id.ilike.${pattern},target_table.ilike.${pattern}`);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+        const rows = data || [];
+        return { rows: rows.slice(0, this.pageSize), hasMore: rows.length > this.pageSize };
+    }
+
+    actionLabel(action) {
+        return this.actions.find(entry => entry.key === action)?.label || action;
+    }
+
+    /**
+     * Top-level fields that differ between before and after
+     * @returns {Array} [{ field, before, after }]
+     */
+    changes(row) {
+        const before = row.before_value;
+        const after = row.after_value;
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(before) || !isObject(after)) {
+            return JSON.stringify(before) === JSON.stringify(after) ? [] : [{ field: null, before, after }];
+        }
+        return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+            .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+            .map(field => ({ field, before: before[field], after: after[field] }));
+    }
+}
+
+// Create global instance
+window.auditLog = new AuditLog();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('auditLog', window.auditLog);
+}
+
+console.logInfo('✅ Audit Log loaded');
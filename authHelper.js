@@ -23,6 +23,11 @@ async function getCurrentUserId() {
             return null;
         }
 
+        // auth.getUser() needs the network; offline, trust the session saved on this device
+        if (!navigator.onLine && window.offlineSupport) {
+            return window.offlineSupport.getStoredSessionUser()?.id ?? null;
+        }
+
         // Enhanced authentication check with timeout and better error handling
         const authPromise = window.supabaseClient.auth.getUser();
         const timeoutPromise = new Promise((_, reject) => 
@@ -0,0 +1,97 @@
+/**
+ * BODY COMPOSITION
+ *
+ * Body-fat %, lean mass and fat mass for progress entries.
+ * - US Navy estimate from neck, waist (and hips for women) and height
+ * - Manual or skinfold-caliper readings are stored as entered
+ * - Lean and fat mass are derived from the entry's weight, in the same units
+ * The Navy estimate is worked out when the entry is saved (inputs in inches) and
+ * stored on the entry, so later height or unit changes don't rewrite history.
+ */
+
+class BodyComposition {
+    constructor() {
+        this.methods = {
+            navy: { label: 'US Navy (neck/waist/hips)' },
+            manual: { label: 'Manual entry' },
+            caliper: { label: 'Skinfold caliper' }
+        };
+
+        // Readings outside this range are treated as measurement mistakes
+        this.minPercent = 2;
+        this.maxPercent = 65;
+    }
+
+    /**
+     * US Navy body-fat estimate
+     * @param {Object} params - { gender, heightIn, neckIn, waistIn, hipsIn }
+     * @returns {number|null} Body fat % (one decimal) or null when inputs are missing/implausible
+     */
+    estimateNavy({ gender, heightIn, neckIn, waistIn, hipsIn }) {
+        if (!(heightIn > 0) || !(neckIn > 0) || !(waistIn > 0)) return null;
+
+        let percent;
+        if (gender === 'female') {
+            if (!(hipsIn > 0) || waistIn + hipsIn - neckIn <= 0) return null;
+            percent = 163.205 * Math.log10(waistIn + hipsIn - neckIn) - 97.684 * Math.log10(heightIn) - 78.387;
+        } else {
+            if (waistIn - neckIn <= 0) return null;
+            percent = 86.010 * Math.log10(waistIn - neckIn) - 70.041 * Math.log10(heightIn) + 36.76;
+        }
+
+        return this.isPlausible(percent) ? Math.round(percent * 10) / 10 : null;
+    }
+
+    isPlausible(percent) {
+        return typeof percent === 'number' && !isNaN(percent) && percent >= this.minPercent && percent <= this.maxPercent;
+    }
+
+    /**
+     * Lean and fat mass for an entry with a body-fat reading
+     * @returns {Object|null} { bodyFatPercent, method, leanMass, fatMass }
+     */
+    getComposition(entry) {
+        const percent = parseFloat(entry?.bodyFatPercent);
+        if (!this.isPlausible(percent) || !(entry.weight > 0)) return null;
+
+        const fatMass = entry.weight * (percent / 100);
+        return {
+            bodyFatPercent: percent,
+            method: entry.bodyFatMethod || 'manual',
+            leanMass: Math.round((entry.weight - fatMass) * 10) / 10,
+            fatMass: Math.round(fatMass * 10) / 10
+        };
+    }
+
+    /**
+     * Chronological composition series for charting
+     * @returns {Array} [{ date, weight, bodyFatPercent, method, leanMass, fatMass }]
+     */
+    getSeries(entries) {
+        return (entries || [])
+            .map(entry => {
+                const composition = this.getComposition(entry);
+                return composition ? { date: entry.date, weight: entry.weight, ...composition } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    /**
+     * Most recent body-fat reading, e.g. for Katch-McArdle in the macro calculator
+     */
+    getLatest(entries) {
+        const series = this.getSeries(entries);
+        return series.length > 0 ? series[series.length - 1] : null;
+    }
+}
+
+// Create global instance
+window.bodyComposition = new BodyComposition();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('bodyComposition', window.bodyComposition);
+}
+
+console.logInfo('✅ Body Composition loaded');
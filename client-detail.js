@@ -0,0 +1,217 @@
+/**
+ * CLIENT DETAIL
+ *
+ * Loads one client's data for the coach dashboard's client detail view and
+ * works out macro adherence over rolling windows.
+ * - Reads the tables the client app writes: daily_meals, daily_targets,
+ *   macro_calculations (targets history), progress_entries and meal_plans
+ * - Rows are matched on the client's user_id, falling back to user_email for
+ *   rows written before UUID-based auth
+ * - Each diary day is scored against the targets that were in effect that day:
+ *   coach-assigned targets (per weekday) from when the coach set them, else the
+ *   latest macro calculation on or before it, else the current daily_targets
+ * Access is limited to assigned clients by the coach dashboard and the tables' RLS.
+ */
+
+class ClientDetail {
+    constructor() {
+        this.macros = ['calories', 'protein', 'carbs', 'fat'];
+        this.windows = [7, 30, 90];
+        this.historyDays = 90;
+        this.targetsHistoryLimit = 20;
+        this.defaultTargets = { calories: 2000, protein: 150, carbs: 200, fat: 65 };
+    }
+
+    dateKey(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    daysAgo(days, from = new Date()) {
+        const date = new Date(from);
+        date.setDate(date.getDate() - days);
+        return this.dateKey(date);
+    }
+
+    /**
+     * Restrict a query to the client's rows
+     * @param {Object} client - user_profiles row ({ user_id, user_email })
+     */
+    scope(query, client) {
+        return client.user_id
+            ? query.eq('user_id', client.user_id)
+            : query.eq('user_email', client.user_email || client.email);
+    }
+
+    /**
+     * Everything the detail view shows, fetched in parallel
+     * @returns {Object} { targets, targetsHistory, days, progressEntries, mealPlan, mealPlanCoach, changes, errors }
+     */
+    async load(client, { until = this.dateKey(new Date()) } = {}) {
+        if (!window.supabaseClient) throw new Error('Supabase client not available');
+        const db = window.supabaseClient;
+        const since = this.daysAgo(this.historyDays - 1, new Date(`${until}T12:00:00`));
+
+        const [meals, targets, calculations, progress, plans, changes] = await Promise.all([
+            this.scope(db.from('daily_meals').select('*'), client)
+                .gte('meal_date', since)
+                .lte('meal_date', until)
+                .order('meal_date', { ascending: false }),
+            this.scope(db.from('daily_targets').select('*'), client)
+                .order('created_at', { ascending: false })
+                .limit(1),
+            this.scope(db.from('macro_calculations').select('*'), client)
+                .order('created_at', { ascending: false })
+                .limit(this.targetsHistoryLimit),
+            this.scope(db.from('progress_entries').select('*'), client)
+                .order('date', { ascending: true }),
+            this.scope(db.from('meal_plans').select('*'), client)
+                .order('updated_at', { ascending: false })
+                .limit(1),
+            window.coachTargets.getChanges(client)
+        ]);
+
+        // A failing section shouldn't hide the others
+        const errors = {};
+        [['diary', meals], ['targets', targets], ['targetsHistory', calculations], ['progress', progress], ['mealPlan', plans]]
+            .forEach(([section, result]) => {
+                if (result.error) errors[section] = result.error.message;
+            });
+
+        const currentTargets = this.toTargets(targets.data?.[0]);
+        const targetsHistory = this.toTargetsHistory(calculations.data);
+
+        return {
+            targets: currentTargets,
+            targetsHistory,
+            days: this.groupDiary(meals.data || [], targetsHistory, currentTargets),
+            progressEntries: this.toProgressEntries(progress.data),
+            mealPlan: plans.data?.[0]?.week_data || null,
+            mealPlanCoach: window.coachTargets.fromMealPlanRow(plans.data?.[0]),
+            changes,
+            until,
+            errors
+        };
+    }
+
+    toTargets(row) {
+        if (!row) return { ...this.defaultTargets, isDefault: true, coach: null };
+        return {
+            calories: parseFloat(row.daily_calories) || this.defaultTargets.calories,
+            protein: parseFloat(row.daily_protein) || this.defaultTargets.protein,
+            carbs: parseFloat(row.daily_carbs) || this.defaultTargets.carbs,
+            fat: parseFloat(row.daily_fat) || this.defaultTargets.fat,
+            coach: window.coachTargets.fromTargetsRow(row)
+        };
+    }
+
+    /**
+     * macro_calculations rows, newest first as queried
+     */
+    toTargetsHistory(rows) {
+        return (rows || []).map(row => ({
+            createdAt: row.created_at,
+            calories: Math.round(parseFloat(row.target_calories) || 0),
+            protein: Math.round(parseFloat(row.target_protein) || 0),
+            carbs: Math.round(parseFloat(row.target_carbs) || 0),
+            fat: Math.round(parseFloat(row.target_fat) || 0),
+            goalCalories: row.goal_calories != null ? parseFloat(row.goal_calories) : null,
+            formula: row.bmr_formula || null,
+            source: row.calculation_source || 'calculator',
+            reason: row.adjustment_reason || null
+        }));
+    }
+
+    toProgressEntries(rows) {
+        return (rows || []).map(row => ({
+            id: row.entry_uuid || row.id,
+            date: row.date,
+            weight: parseFloat(row.weight_kg) || null,
+            waist: parseFloat(row.waist_cm) || null,
+            bodyFatPercent: parseFloat(row.body_fat_percent) || null,
+            notes: row.notes || ''
+        }));
+    }
+
+    /**
+     * Targets in effect on a date
+     */
+    targetsForDate(date, targetsHistory, currentTargets) {
+        const coach = currentTargets.coach;
+        if (coach && (!coach.at || coach.at.slice(0, 10) <= date)) {
+            return window.coachTargets.resolveTargets(coach, date);
+        }
+
+        const calculation = targetsHistory.find(row => row.calories > 0 && row.createdAt && row.createdAt.slice(0, 10) <= date);
+        return calculation || currentTargets;
+    }
+
+    /**
+     * Diary grouped by day, newest first
+     * @returns {Array} [{ date, meals, totals, targets, deviation, accuracy }]
+     */
+    groupDiary(meals, targetsHistory, currentTargets) {
+        const byDate = {};
+        meals.forEach(meal => {
+            if (!byDate[meal.meal_date]) byDate[meal.meal_date] = [];
+            byDate[meal.meal_date].push(meal);
+        });
+
+        return Object.keys(byDate).sort().reverse().map(date => {
+            const dayMeals = byDate[date];
+            const totals = {};
+            this.macros.forEach(macro => {
+                totals[macro] = Math.round(dayMeals.reduce((sum, meal) => sum + (parseFloat(meal[macro]) || 0), 0));
+            });
+            const targets = this.targetsForDate(date, targetsHistory, currentTargets);
+            return { date, meals: dayMeals, totals, targets, ...this.scoreDay(totals, targets) };
+        });
+    }
+
+    /**
+     * Signed % deviation per macro and an overall accuracy (100 = exactly on target)
+     */
+    scoreDay(totals, targets) {
+        const deviation = {};
+        this.macros.forEach(macro => {
+            deviation[macro] = targets[macro] > 0 ? Math.round(((totals[macro] - targets[macro]) / targets[macro]) * 100) : 0;
+        });
+        const meanMiss = this.macros.reduce((sum, macro) => sum + Math.abs(deviation[macro]), 0) / this.macros.length;
+        return { deviation, accuracy: Math.max(0, Math.round(100 - meanMiss)) };
+    }
+
+    /**
+     * Adherence over the last `windowDays` days up to `until`
+     * @returns {Object} { windowDays, loggedDays, consistency, accuracy, deviation }
+     *   consistency: % of days with anything logged; accuracy: mean day accuracy on logged days;
+     *   deviation: mean signed % deviation per macro on logged days
+     */
+    getAdherence(days, windowDays, until = this.dateKey(new Date())) {
+        const since = this.daysAgo(windowDays - 1, new Date(`${until}T12:00:00`));
+        const logged = days.filter(day => day.date >= since && day.date <= until && day.totals.calories > 0);
+
+        const deviation = {};
+        this.macros.forEach(macro => {
+            deviation[macro] = logged.length > 0
+                ? Math.round(logged.reduce((sum, day) => sum + day.deviation[macro], 0) / logged.length)
+                : null;
+        });
+
+        return {
+            windowDays,
+            loggedDays: logged.length,
+            consistency: Math.round((logged.length / windowDays) * 100),
+            accuracy: logged.length > 0 ? Math.round(logged.reduce((sum, day) => sum + day.accuracy, 0) / logged.length) : null,
+            deviation
+        };
+    }
+}
+
+// Create global instance
+window.clientDetail = new ClientDetail();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('clientDetail', window.clientDetail);
+}
+
+console.logInfo('✅ Client Detail loaded');
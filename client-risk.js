@@ -0,0 +1,218 @@
+/**
+ * CLIENT RISK
+ *
+ * Adherence scores and at-risk flags for every client on the coach dashboard.
+ * - Scores come from the same diary scoring as the client detail view
+ *   (ClientDetail.groupDiary / getAdherence) over the last few weeks
+ * - A client is flagged when they haven't logged for a while, keep overshooting
+ *   their calories, haven't weighed in, or their weight trend (WeightTrend) is
+ *   moving against the goal of their latest macro calculation
+ * - Thresholds are per coach and kept in this browser's localStorage
+ * Weights are in the units progress entries are stored in (lbs).
+ */
+
+class ClientRisk {
+    constructor() {
+        this.historyDays = 30;
+        this.weightHistoryDays = 60;
+        this.storagePrefix = 'coachRiskThresholds:';
+        this.defaultThresholds = {
+            noLogDays: 3,            // days without logging before flagging
+            overshootPercent: 15,    // calories over target that counts as an overshoot
+            overshootDays: 4,        // overshoot days in the last week before flagging
+            weighInDays: 14,         // days since the last weigh-in before flagging
+            againstGoalRate: 0.25    // lbs/week the trend may move against the goal
+        };
+        // Today's entries count as logged, so 0 would flag everyone who hasn't logged yet today
+        this.minimumThresholds = { noLogDays: 1 };
+    }
+
+    getThresholds(coachEmail) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storagePrefix + coachEmail) || 'null');
+            return this.cleanThresholds({ ...this.defaultThresholds, ...(saved || {}) });
+        } catch (error) {
+            return { ...this.defaultThresholds };
+        }
+    }
+
+    saveThresholds(coachEmail, thresholds) {
+        const clean = this.cleanThresholds(thresholds);
+        localStorage.setItem(this.storagePrefix + coachEmail, JSON.stringify(clean));
+        return clean;
+    }
+
+    /**
+     * Numbers only: missing or negative values fall back to the defaults and
+     * values under a minimum are raised to it
+     */
+    cleanThresholds(thresholds) {
+        const clean = {};
+        Object.keys(this.defaultThresholds).forEach(key => {
+            const value = parseFloat(thresholds[key]);
+            clean[key] = value >= 0 ? Math.max(value, this.minimumThresholds[key] || 0) : this.defaultThresholds[key];
+        });
+        return clean;
+    }
+
+    /**
+     * Recent diary, targets and weigh-ins for one client
+     * @param {Object} client - user_profiles row ({ user_id, user_email })
+     */
+    async load(client, until) {
+        if (!window.supabaseClient) throw new Error('Supabase client not available');
+        const db = window.supabaseClient;
+        const detail = window.clientDetail;
+        const untilDate = new Date(`${until}T12:00:00`);
+
+        const [meals, targets, calculations, progress] = await Promise.all([
+            detail.scope(db.from('daily_meals').select('meal_date, calories, protein, carbs, fat'), client)
+                .gte('meal_date', detail.daysAgo(this.historyDays - 1, untilDate))
+                .lte('meal_date', until),
+            detail.scope(db.from('daily_targets').select('*'), client)
+                .order('created_at', { ascending: false })
+                .limit(1),
+            detail.scope(db.from('macro_calculations').select('*'), client)
+                .order('created_at', { ascending: false })
+                .limit(detail.targetsHistoryLimit),
+            detail.scope(db.from('progress_entries').select('*'), client)
+                .gte('date', detail.daysAgo(this.weightHistoryDays - 1, untilDate))
+                .lte('date', until)
+                .order('date', { ascending: true })
+        ]);
+
+        const failed = [meals, targets, calculations, progress].find(result => result.error);
+        if (failed) throw failed.error;
+
+        const currentTargets = detail.toTargets(targets.data?.[0]);
+        const targetsHistory = detail.toTargetsHistory(calculations.data);
+        return {
+            days: detail.groupDiary(meals.data || [], targetsHistory, currentTargets),
+            targetsHistory,
+            progressEntries: detail.toProgressEntries(progress.data)
+        };
+    }
+
+    /**
+     * Direction the client is aiming for, from their latest macro calculation
+     * @returns {string|null} 'lose' | 'gain' | 'maintain' | null
+     */
+    goalDirection(targetsHistory) {
+        const calculation = targetsHistory.find(row => row.goalCalories != null);
+        if (!calculation) return null;
+        if (calculation.goalCalories < 0) return 'lose';
+        if (calculation.goalCalories > 0) return 'gain';
+        return 'maintain';
+    }
+
+    daysBetween(fromKey, toKey) {
+        return window.weightTrend.toDayNumber(toKey) - window.weightTrend.toDayNumber(fromKey);
+    }
+
+    /**
+     * Consecutive logged days ending at `until` (or the day before, so a day
+     * still in progress doesn't break the streak)
+     */
+    getStreak(days, until) {
+        const logged = new Set(days.filter(day => day.totals.calories > 0).map(day => day.date));
+        const detail = window.clientDetail;
+        const untilDate = new Date(`${until}T12:00:00`);
+
+        let offset = logged.has(until) ? 0 : 1;
+        let streak = 0;
+        while (logged.has(detail.daysAgo(offset, untilDate))) {
+            streak++;
+            offset++;
+        }
+        return streak;
+    }
+
+    /**
+     * Scores and flags for one client
+     * @returns {Object} { week, month, streak, daysSinceLog, daysSinceWeighIn, weeklyRate, goal, flags, needsAttention }
+     *   flags: [{ type, message }] with type 'no_logging' | 'overshoot' | 'no_weigh_in' | 'against_goal'
+     */
+    assess({ days, targetsHistory, progressEntries }, thresholds, until) {
+        const detail = window.clientDetail;
+        const week = detail.getAdherence(days, 7, until);
+        const month = detail.getAdherence(days, this.historyDays, until);
+        const streak = this.getStreak(days, until);
+
+        const lastLogged = days.find(day => day.totals.calories > 0);
+        const daysSinceLog = lastLogged ? this.daysBetween(lastLogged.date, until) : null;
+
+        const weighIns = progressEntries.filter(entry => entry.weight > 0);
+        const lastWeighIn = weighIns[weighIns.length - 1];
+        const daysSinceWeighIn = lastWeighIn ? this.daysBetween(lastWeighIn.date, until) : null;
+
+        const series = window.weightTrend.smooth(weighIns);
+        const weeklyRate = window.weightTrend.getWeeklyRate(series);
+        const goal = this.goalDirection(targetsHistory);
+
+        const flags = [];
+        if (daysSinceLog === null || daysSinceLog >= thresholds.noLogDays) {
+            flags.push({
+                type: 'no_logging',
+                message: daysSinceLog === null ? `Nothing logged in ${this.historyDays} days` : `No logging for ${daysSinceLog} days`
+            });
+        }
+
+        const weekSince = detail.daysAgo(6, new Date(`${until}T12:00:00`));
+        const overshootDays = days.filter(day =>
+            day.date >= weekSince && day.totals.calories > 0 && day.deviation.calories > thresholds.overshootPercent).length;
+        if (overshootDays >= thresholds.overshootDays) {
+            flags.push({ type: 'overshoot', message: `Over calories by ${thresholds.overshootPercent}%+ on ${overshootDays} of the last 7 days` });
+        }
+
+        if (daysSinceWeighIn === null || daysSinceWeighIn >= thresholds.weighInDays) {
+            flags.push({
+                type: 'no_weigh_in',
+                message: daysSinceWeighIn === null ? 'No recent weigh-ins' : `Last weigh-in ${daysSinceWeighIn} days ago`
+            });
+        }
+
+        if (weeklyRate !== null && (goal === 'lose' || goal === 'gain')) {
+            const againstGoal = goal === 'lose' ? weeklyRate : -weeklyRate;
+            if (againstGoal > thresholds.againstGoalRate) {
+                flags.push({
+                    type: 'against_goal',
+                    message: `Weight ${weeklyRate > 0 ? 'up' : 'down'} ${Math.abs(weeklyRate).toFixed(1)} lbs/week while aiming to ${goal}`
+                });
+            }
+        }
+
+        return { week, month, streak, daysSinceLog, daysSinceWeighIn, weeklyRate, goal, flags, needsAttention: flags.length > 0 };
+    }
+
+    /**
+     * Assess every client in parallel; a client whose data can't be read gets { error }
+     * @returns {Object} { [user_id or email]: assessment }
+     */
+    async assessAll(clients, thresholds, until) {
+        const results = {};
+        await Promise.all(clients.map(async client => {
+            const key = this.keyFor(client);
+            try {
+                results[key] = this.assess(await this.load(client, until), thresholds, until);
+            } catch (error) {
+                console.warn(`⚠️ Could not score client ${key}:`, error.message);
+                results[key] = { error: error.message, flags: [], needsAttention: false };
+            }
+        }));
+        return results;
+    }
+
+    keyFor(client) {
+        return client.user_id || client.user_email || client.email;
+    }
+}
+
+// Create global instance
+window.clientRisk = new ClientRisk();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('clientRisk', window.clientRisk);
+}
+
+console.logInfo('✅ Client Risk loaded');
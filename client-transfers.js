@@ -0,0 +1,121 @@
+/**
+ * CLIENT TRANSFERS
+ *
+ * Bulk client reassignment and coach offboarding for the owner portal.
+ * - preview() lists the clients (and invite codes) a transfer would touch
+ *   before anything changes
+ * - transfer() moves them in one transaction through transfer_clients, which
+ *   also writes the audit row in client_transfers
+ * - undo() restores the previous assignments and codes while the transfer's
+ *   undo window is open; clients reassigned again since then are left alone
+ * Table and functions are in ADD-CLIENT-TRANSFERS.sql.
+ */
+
+class ClientTransfers {
+    constructor() {
+        this.table = 'client_transfers';
+        // Set by transfer_clients; only used for display
+        this.undoWindowHours = 24;
+        this.historyLimit = 20;
+    }
+
+    emailOf(profile) {
+        return profile.user_email || profile.email;
+    }
+
+    /**
+     * Clients and codes a transfer would affect
+     * @param {Object} options - { clientIds } for a bulk transfer, or { fromCoach } to offboard a coach
+     * @returns {Object} { clients, codes, skipped } - skipped: selected clients already with the target coach
+     */
+    async preview({ clientIds = null, fromCoach = null, toCoach, deactivateCodes = false }) {
+        if (!window.supabaseClient) throw new Error('Supabase client not available');
+        if (!toCoach) throw new Error('Select the coach who takes over');
+        if (!clientIds && !fromCoach) throw new Error('Select clients or a coach to offboard');
+        if (clientIds && clientIds.length === 0) throw new Error('No clients selected');
+        if (fromCoach && fromCoach === toCoach) throw new Error('Choose a different coach to take over');
+
+        let query = window.supabaseClient
+            .from('user_profiles')
+            .select('id, user_email, user_name, assigned_coach, assignment_status, coach_assignment_date');
+        query = clientIds ? query.in('id', clientIds) : query.eq('assigned_coach', fromCoach);
+
+        const [profiles, codes] = await Promise.all([
+            query.limit(1000),
+            fromCoach && deactivateCodes
+                ? window.supabaseClient.from('invite_codes').select('id, code, campaign').eq('coach_email', fromCoach).eq('is_active', true)
+                : Promise.resolve({ data: [] })
+        ]);
+        if (profiles.error) throw profiles.error;
+        if (codes.error) throw codes.error;
+
+        const eligible = (profiles.data || []).filter(p => p.assignment_status !== 'coach' && p.assignment_status !== 'owner');
+        return {
+            clients: eligible.filter(p => p.assigned_coach !== toCoach),
+            skipped: eligible.filter(p => p.assigned_coach === toCoach),
+            codes: codes.data || []
+        };
+    }
+
+    /**
+     * Apply a transfer; the same options as preview() plus a reason
+     * @returns {Object} the client_transfers row
+     */
+    async transfer({ clientIds = null, fromCoach = null, toCoach, deactivateCodes = false, reason = '' }) {
+        const { data, error } = await window.supabaseClient.rpc('transfer_clients', {
+            client_ids: clientIds ? clientIds.map(String) : null,
+            to_coach_email: toCoach,
+            from_coach_email: fromCoach,
+            deactivate_codes: !!deactivateCodes,
+            transfer_reason: reason || null
+        });
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * @returns {Object} the updated client_transfers row (undo_skipped lists clients left alone)
+     */
+    async undo(transferId) {
+        const { data, error } = await window.supabaseClient.rpc('undo_client_transfer', { transfer_id: transferId });
+        if (error) throw error;
+        return data;
+    }
+
+    async getHistory() {
+        const { data, error } = await window.supabaseClient
+            .from(this.table)
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(this.historyLimit);
+        if (error) throw error;
+        return data || [];
+    }
+
+    canUndo(row, now = new Date()) {
+        return !row.undone_at && new Date(row.undo_until) > now;
+    }
+
+    /**
+     * e.g. "Offboarded coach@x.com: 4 clients → new@x.com, 2 codes deactivated"
+     */
+    describe(row) {
+        const count = (row.clients || []).length;
+        const clients = `${count} client${count === 1 ? '' : 's'} → ${row.to_coach}`;
+        const codes = (row.deactivated_codes || []).length;
+        const codesText = codes > 0 ? `, ${codes} code${codes === 1 ? '' : 's'} deactivated` : '';
+        return row.transfer_type === 'offboard'
+            ? `Offboarded ${row.from_coach}: ${clients}${codesText}`
+            : `Bulk transfer: ${clients}${codesText}`;
+    }
+}
+
+// Create global instance
+window.clientTransfers = new ClientTransfers();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('clientTransfers', window.clientTransfers);
+}
+
+console.logInfo('✅ Client Transfers loaded');
@@ -0,0 +1,180 @@
+/**
+ * COACH MESSAGES
+ *
+ * Message thread between a client and their assigned coach, plus coach comments
+ * on a specific diary day or progress entry (the same table, with a context).
+ * - One thread per client: rows carry client_user_id, the coach's email and who sent them
+ * - Unread = the other side's messages with no read_at yet
+ * - New messages arrive through SupabaseDB.subscribe (realtime on coach_messages)
+ * Row policies in ADD-COACH-MESSAGES.sql follow user_profiles.assigned_coach.
+ */
+
+class CoachMessages {
+    constructor() {
+        this.table = 'coach_messages';
+        this.contexts = {
+            diary_day: { label: 'Diary' },
+            progress_entry: { label: 'Progress entry' }
+        };
+        this.maxLength = 2000;
+        this.threadLimit = 200;
+    }
+
+    /**
+     * The signed-in client's coach email, or null when they don't have one
+     */
+    async getAssignedCoach(userId) {
+        if (!window.supabaseClient || !userId) return null;
+
+        const { data, error } = await window.supabaseClient
+            .from('user_profiles')
+            .select('assigned_coach')
+            .eq('user_id', userId)
+            .maybeSingle();
+        if (error) {
+            console.warn('⚠️ Could not look up assigned coach:', error.message);
+            return null;
+        }
+        return data?.assigned_coach || null;
+    }
+
+    /**
+     * Send a message
+     * @param {Object} message - { clientUserId, clientEmail, coachEmail, senderRole, senderEmail, body, context }
+     *   context (optional): { type: 'diary_day' | 'progress_entry', date, ref }
+     */
+    async send({ clientUserId, clientEmail, coachEmail, senderRole, senderEmail, body, context }) {
+        if (!window.supabaseClient) throw new Error('No database connection available');
+        const text = String(body || '').trim();
+        if (!text) throw new Error('Message is empty');
+        if (text.length > this.maxLength) throw new Error(`Messages can be up to ${this.maxLength} characters`);
+        if (!clientUserId || !coachEmail) throw new Error('This client needs to sign in to the app before messages can be sent');
+
+        const { data, error } = await window.supabaseClient
+            .from(this.table)
+            .insert({
+                client_user_id: clientUserId,
+                client_email: clientEmail || null,
+                coach_email: coachEmail,
+                sender_role: senderRole,
+                sender_email: senderEmail || null,
+                body: text,
+                context_type: context?.type || null,
+                context_date: context?.date || null,
+                context_ref: context?.ref != null ? String(context.ref) : null
+            })
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * A client's thread, oldest first
+     */
+    async getThread(clientUserId) {
+        if (!window.supabaseClient || !clientUserId) return [];
+
+        const { data, error } = await window.supabaseClient
+            .from(this.table)
+            .select('*')
+            .eq('client_user_id', clientUserId)
+            .order('created_at', { ascending: false })
+            .limit(this.threadLimit);
+        if (error) throw error;
+        return (data || []).reverse();
+    }
+
+    /**
+     * Unread client messages per client for a coach
+     * @returns {Object} { [client_user_id]: count }
+     */
+    async getUnreadCounts(coachEmail) {
+        if (!window.supabaseClient || !coachEmail) return {};
+
+        const { data, error } = await window.supabaseClient
+            .from(this.table)
+            .select('client_user_id')
+            .eq('coach_email', coachEmail)
+            .eq('sender_role', 'client')
+            .is('read_at', null);
+        if (error) {
+            console.warn('⚠️ Unread message counts unavailable:', error.message);
+            return {};
+        }
+
+        const counts = {};
+        (data || []).forEach(row => {
+            counts[row.client_user_id] = (counts[row.client_user_id] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Unread coach messages for a client
+     */
+    async getClientUnreadCount(clientUserId) {
+        if (!window.supabaseClient || !clientUserId) return 0;
+
+        const { count, error } = await window.supabaseClient
+            .from(this.table)
+            .select('id', { count: 'exact', head: true })
+            .eq('client_user_id', clientUserId)
+            .eq('sender_role', 'coach')
+            .is('read_at', null);
+        if (error) {
+            console.warn('⚠️ Unread message count unavailable:', error.message);
+            return 0;
+        }
+        return count || 0;
+    }
+
+    /**
+     * Mark the other side's messages in a thread as read
+     * @param {string} readerRole - 'coach' | 'client'
+     */
+    async markRead(clientUserId, readerRole) {
+        if (!window.supabaseClient || !clientUserId) return;
+
+        const { error } = await window.supabaseClient
+            .from(this.table)
+            .update({ read_at: new Date().toISOString() })
+            .eq('client_user_id', clientUserId)
+            .neq('sender_role', readerRole)
+            .is('read_at', null);
+        if (error) console.warn('⚠️ Could not mark messages read:', error.message);
+    }
+
+    /**
+     * Realtime inserts matching one column (e.g. { coach_email } or { client_user_id })
+     * @param {Function} callback - Called with each new message row
+     */
+    subscribe(filters, callback) {
+        if (!window.SupabaseDB?.subscribe) return null;
+        return window.SupabaseDB.subscribe(this.table, filters, payload => {
+            if (payload.eventType === 'INSERT' && payload.new) callback(payload.new);
+        });
+    }
+
+    /**
+     * "Diary · Mon, Oct 3" style label for a comment, or '' for plain messages
+     */
+    describeContext(message) {
+        const context = this.contexts[message.context_type];
+        if (!context) return '';
+        const date = message.context_date
+            ? new Date(`${message.context_date}T12:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })
+            : '';
+        return date ? `${context.label} · ${date}` : context.label;
+    }
+}
+
+// Create global instance
+window.coachMessages = new CoachMessages();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('coachMessages', window.coachMessages);
+}
+
+console.logInfo('✅ Coach Messages loaded');
@@ -0,0 +1,206 @@
+/**
+ * COACH TARGETS
+ *
+ * Macro targets and weekly meal plans a coach assigns to a client.
+ * - The coach dashboard writes straight into the client's daily_targets and
+ *   meal_plans rows, stamped with the coach's email (set_by_coach /
+ *   assigned_by_coach) so the client app can show them as "set by your coach";
+ *   the stamp is cleared once the client changes them
+ * - Targets can differ by weekday (e.g. training vs rest days): weekday_targets
+ *   holds { monday: { label, calories, protein, carbs, fat }, ... } for the days
+ *   that differ from the base targets
+ * - Every change is also recorded in coach_changes with the coach who made it
+ * Policies for coach writes are in ADD-COACH-ASSIGNED-TARGETS.sql.
+ */
+
+class CoachTargets {
+    constructor() {
+        this.weekdays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+        this.macros = ['calories', 'protein', 'carbs', 'fat'];
+        this.changesTable = 'coach_changes';
+    }
+
+    /**
+     * Weekday name for a YYYY-MM-DD key
+     */
+    weekdayOf(dateKey) {
+        const [year, month, day] = String(dateKey).slice(0, 10).split('-').map(Number);
+        const index = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+        return this.weekdays[(index + 6) % 7];
+    }
+
+    pickMacros(source) {
+        const macros = {};
+        this.macros.forEach(macro => {
+            macros[macro] = Math.round(parseFloat(source?.[macro]) || 0);
+        });
+        return macros;
+    }
+
+    /**
+     * Coach details from a daily_targets row, or null when the client set the targets
+     * @returns {Object|null} { email, at, note, base, weekdayTargets }
+     */
+    fromTargetsRow(row) {
+        if (!row?.set_by_coach) return null;
+        return {
+            email: row.set_by_coach,
+            at: row.set_by_coach_at || null,
+            note: row.coach_note || null,
+            base: {
+                calories: row.daily_calories,
+                protein: row.daily_protein,
+                carbs: row.daily_carbs,
+                fat: row.daily_fat
+            },
+            weekdayTargets: row.weekday_targets || null
+        };
+    }
+
+    fromMealPlanRow(row) {
+        if (!row?.assigned_by_coach) return null;
+        return { email: row.assigned_by_coach, at: row.assigned_at || null };
+    }
+
+    /**
+     * Targets that apply on a date: the weekday's override, else the base targets
+     * @returns {Object} { calories, protein, carbs, fat, label }
+     */
+    resolveTargets(coach, dateKey) {
+        const override = coach?.weekdayTargets?.[this.weekdayOf(dateKey)];
+        if (override && override.calories > 0) {
+            return { ...this.pickMacros(override), label: override.label || null };
+        }
+        return { ...this.pickMacros(coach?.base), label: null };
+    }
+
+    /**
+     * Set a client's daily targets
+     * @param {Object} client - user_profiles row of the client
+     * @param {Object} assignment - { base, training, trainingDays, note }
+     *   training/trainingDays are optional; training targets replace the base on those weekdays
+     * @param {string} coachEmail
+     * @returns {boolean} whether the change was also added to the client's change history
+     */
+    async assignTargets(client, { base, training, trainingDays, note }, coachEmail) {
+        if (!window.supabaseClient) throw new Error('No database connection available');
+        if (!client?.user_id) throw new Error('This client needs to sign in to the app before targets can be assigned');
+
+        const baseTargets = this.pickMacros(base);
+        if (!(baseTargets.calories > 0)) throw new Error('Daily calories are required');
+
+        let weekdayTargets = null;
+        if (training && (trainingDays || []).length > 0) {
+            const trainingTargets = this.pickMacros(training);
+            if (!(trainingTargets.calories > 0)) throw new Error('Training day calories are required');
+            weekdayTargets = {};
+            trainingDays.filter(day => this.weekdays.includes(day)).forEach(day => {
+                weekdayTargets[day] = { label: 'Training day', ...trainingTargets };
+            });
+        }
+
+        const now = new Date().toISOString();
+        const { error } = await window.supabaseClient
+            .from('daily_targets')
+            .upsert({
+                user_id: client.user_id,
+                daily_calories: baseTargets.calories,
+                daily_protein: baseTargets.protein,
+                daily_carbs: baseTargets.carbs,
+                daily_fat: baseTargets.fat,
+                weekday_targets: weekdayTargets,
+                set_by_coach: coachEmail,
+                set_by_coach_at: now,
+                coach_note: note || null,
+                updated_at: now
+            }, { onConflict: 'user_id' });
+        if (error) throw error;
+
+        return this.logChange(client, 'targets', { base: baseTargets, weekdayTargets }, note, coachEmail);
+    }
+
+    /**
+     * Replace a client's weekly meal plan
+     * @param {Object} weekData - { monday: { breakfast: [], lunch: [], dinner: [] }, ... } as the client app stores it
+     * @returns {boolean} whether the change was also added to the client's change history
+     */
+    async assignMealPlan(client, weekData, note, coachEmail) {
+        if (!window.supabaseClient) throw new Error('No database connection available');
+        if (!client?.user_id) throw new Error('This client needs to sign in to the app before a meal plan can be assigned');
+
+        const now = new Date().toISOString();
+        const planData = {
+            week_data: weekData,
+            assigned_by_coach: coachEmail,
+            assigned_at: now,
+            updated_at: now
+        };
+
+        // Same one-plan-per-user shape the client app maintains
+        const { data: existing, error: selectError } = await window.supabaseClient
+            .from('meal_plans')
+            .select('id')
+            .eq('user_id', client.user_id)
+            .order('updated_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+        if (selectError) throw selectError;
+
+        const { error } = existing
+            ? await window.supabaseClient.from('meal_plans').update(planData).eq('id', existing.id)
+            : await window.supabaseClient.from('meal_plans').insert({ user_id: client.user_id, ...planData });
+        if (error) throw error;
+
+        const meals = this.weekdays.reduce((count, day) =>
+            count + Object.values(weekData[day] || {}).reduce((sum, section) => sum + (Array.isArray(section) ? section.length : 0), 0), 0);
+        return this.logChange(client, 'meal_plan', { meals }, note, coachEmail);
+    }
+
+    async logChange(client, changeType, details, note, coachEmail) {
+        const { error } = await window.supabaseClient
+            .from(this.changesTable)
+            .insert({
+                client_user_id: client.user_id,
+                client_email: client.user_email || client.email || null,
+                coach_email: coachEmail,
+                change_type: changeType,
+                details,
+                note: note || null
+            });
+        // The change itself is saved; a missing history row shouldn't undo it, but the coach is told
+        if (error) {
+            console.warn('⚠️ Coach change history not recorded:', error.message);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Recent coach changes for a client, newest first
+     */
+    async getChanges(client, limit = 20) {
+        if (!window.supabaseClient || !client?.user_id) return [];
+
+        const { data, error } = await window.supabaseClient
+            .from(this.changesTable)
+            .select('*')
+            .eq('client_user_id', client.user_id)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        if (error) {
+            console.warn('⚠️ Coach change history unavailable:', error.message);
+            return [];
+        }
+        return data || [];
+    }
+}
+
+// Create global instance
+window.coachTargets = new CoachTargets();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('coachTargets', window.coachTargets);
+}
+
+console.logInfo('✅ Coach Targets loaded');
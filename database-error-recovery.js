@@ -2,15 +2,32 @@
  * DATABASE ERROR RECOVERY SYSTEM
  * Comprehensive database operation safety with automatic retry and fallback mechanisms
  * Preserves all existing Supabase functionality while adding bulletproof error handling
+ *
+ * Writes made while offline are kept in a persistent outbox (IndexedDB) as
+ * serializable mutation records { table, op, match, payload, clientTimestamp }
+ * and replayed in order when the connection returns, also after a reload.
+ * Conflicts with rows changed on the server since the record was queued are
+ * resolved per table: daily_targets is last-write-wins, daily_meals merges in
+ * meals added elsewhere. Only records the server rejects outright are set aside
+ * as failed; network errors leave them queued. Only signed-in users' writes are
+ * queued, and other tables aren't: their failed writes return the fallback.
  */
 
 class DatabaseErrorRecovery {
     constructor() {
         this.retryQueue = [];
-        this.offlineQueue = [];
         this.isOnline = navigator.onLine;
         this.isProcessingQueue = false;
         
+        this.outboxConfig = {
+            dbName: 'macroSyncOutbox',
+            dbVersion: 1,
+            store: 'mutations'
+        };
+        this.outboxDb = null;
+        this.outboxCounts = { pending: 0, failed: 0 };
+        this.syncListeners = [];
+
         this.config = {
             maxRetries: 3,
             baseDelay: 1000,
@@ -22,6 +39,7 @@ class DatabaseErrorRecovery {
 
         this.setupNetworkMonitoring();
         this.setupPeriodicHealthCheck();
+        this.refreshSyncStatus();
     }
 
     /**
@@ -31,7 +49,6 @@ class DatabaseErrorRecovery {
         const config = {
             operationName: 'database operation',
             isCritical: false,
-            enableOfflineQueue: true,
             enableRetry: true,
             fallbackData: null,
             timeout: this.config.networkTimeout,
@@ -188,10 +205,6 @@ class DatabaseErrorRecovery {
             return await this.attemptRetryRecovery(originalOperation, config, operationId, error);
         }
         
-        if (!this.isOnline && config.enableOfflineQueue) {
-            return await this.handleOfflineOperation(originalOperation, config);
-        }
-
         // No recovery possible - return fallback or throw
         return this.handleUnrecoverableError(error, config);
     }
@@ -253,44 +266,6 @@ class DatabaseErrorRecovery {
         return this.handleUnrecoverableError(lastError, config);
     }
 
-    /**
-     * Handle offline operations with queueing
-     */
-    async handleOfflineOperation(operation, config) {
-        if (!config.enableOfflineQueue) {
-            return this.handleUnrecoverableError(new Error('Offline and queueing disabled'), config);
-        }
-
-        const queueItem = {
-            id: this.generateOperationId(),
-            operation,
-            config,
-            timestamp: Date.now(),
-            attempts: 0
-        };
-
-        this.offlineQueue.push(queueItem);
-        
-        console.log(`📥 Queued ${config.operationName} for offline processing (queue size: ${this.offlineQueue.length})`);
-        
-        // Show user feedback
-        if (typeof showCustomNotification === 'function') {
-            showCustomNotification(
-                `${config.operationName} queued - will sync when connection is restored`, 
-                'info', 
-                3000
-            );
-        }
-
-        // Return queued status
-        return {
-            success: false,
-            queued: true,
-            queueId: queueItem.id,
-            data: config.fallbackData
-        };
-    }
-
     /**
      * Handle unrecoverable errors
      */
@@ -430,68 +405,278 @@ class DatabaseErrorRecovery {
         window.addEventListener('offline', () => {
             console.log('📵 Network connection lost');
             this.isOnline = false;
+            this.refreshSyncStatus();
             
             if (typeof showCustomNotification === 'function') {
-                showCustomNotification('Connection lost - operations will be queued', 'warning', 3000);
+                showCustomNotification('Connection lost - meals and targets will sync when it is restored', 'warning', 3000);
             }
         });
     }
 
     /**
-     * Process queued operations when network is restored
+     * Replay the outbox when the network is restored
      */
     async processOfflineQueue() {
-        if (this.isProcessingQueue || this.offlineQueue.length === 0) {
+        if (this.isProcessingQueue) {
             return;
         }
 
         this.isProcessingQueue = true;
-        console.log(`📤 Processing ${this.offlineQueue.length} queued operations...`);
+        try {
+            await this.replayOutbox();
+        } catch (error) {
+            console.warn('⚠️ Outbox replay stopped:', error.message);
+        } finally {
+            this.isProcessingQueue = false;
+        }
+    }
+
+    /**
+     * Persistent outbox
+     */
+    openOutbox() {
+        if (this.outboxDb) return Promise.resolve(this.outboxDb);
+
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = window.indexedDB.open(this.outboxConfig.dbName, this.outboxConfig.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.outboxConfig.store)) {
+                    const store = db.createObjectStore(this.outboxConfig.store, { keyPath: 'seq', autoIncrement: true });
+                    store.createIndex('status', 'status', { unique: false });
+                }
+            };
+
+            request.onsuccess = (event) => {
+                this.outboxDb = event.target.result;
+                resolve(this.outboxDb);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async runOutboxRequest(mode, operation) {
+        const db = await this.openOutbox();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.outboxConfig.store, mode);
+            const request = operation(tx.objectStore(this.outboxConfig.store));
+            let result;
+            if (request) {
+                request.onsuccess = () => { result = request.result; };
+            }
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Store a write for replay once the connection is back
+     * @param {Object} mutation - { table, op, match, payload }
+     *   match: column filters identifying the rows (e.g. { user_id, meal_date })
+     * @returns {boolean} false when the outbox is unavailable (caller keeps its local fallback)
+     */
+    async queueMutation({ table, op, match, payload }) {
+        // Replays run as the signed-in user; anonymous writes stay local
+        if (!match?.user_id) return false;
+
+        const record = {
+            table,
+            op,
+            match,
+            payload,
+            clientTimestamp: new Date().toISOString(),
+            status: 'pending',
+            attempts: 0,
+            lastError: null
+        };
+
+        try {
+            await this.runOutboxRequest('readwrite', store => store.add(record));
+        } catch (error) {
+            console.warn(`⚠️ Could not queue ${table} ${op} for sync:`, error.message);
+            return false;
+        }
+
+        console.log(`📥 Queued ${table} ${op} for sync`);
+        await this.refreshSyncStatus();
+        if (this.isOnline) this.processOfflineQueue();
+        return true;
+    }
+
+    hasPendingWrites() {
+        return this.outboxCounts.pending > 0;
+    }
+
+    async getOutboxRecords() {
+        try {
+            const records = (await this.runOutboxRequest('readonly', store => store.getAll())) || [];
+            return records.sort((a, b) => a.seq - b.seq);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Replay pending records oldest first. A network error stops the replay so
+     * later writes never overtake earlier ones.
+     */
+    async replayOutbox() {
+        const pending = (await this.getOutboxRecords()).filter(record => record.status === 'pending');
+        if (pending.length === 0 || !window.supabaseClient) return;
+
+        console.log(`📤 Syncing ${pending.length} queued changes...`);
+        let synced = 0;
+
+        for (const record of pending) {
+            if (!this.isOnline) break;
 
-        const results = [];
-        
-        while (this.offlineQueue.length > 0 && this.isOnline) {
-            const queueItem = this.offlineQueue.shift();
-            
             try {
-                queueItem.attempts++;
-                const result = await this.executeWithRecovery(queueItem.operation, {
-                    ...queueItem.config,
-                    timeout: this.config.criticalOperationTimeout // Longer timeout for queued operations
-                });
-                
-                results.push({ success: true, id: queueItem.id, result });
-                console.log(`✅ Processed queued operation: ${queueItem.config.operationName}`);
-                
+                const outcome = await this.applyMutation(record);
+                await this.runOutboxRequest('readwrite', store => store.delete(record.seq));
+                synced++;
+                this.logOperation('outbox_synced', `${record.table} ${record.op}`, { seq: record.seq, ...outcome });
             } catch (error) {
-                if (queueItem.attempts < 3) {
-                    // Requeue for another attempt
-                    this.offlineQueue.push(queueItem);
-                    console.warn(`🔄 Requeued failed operation: ${queueItem.config.operationName} (attempt ${queueItem.attempts})`);
-                } else {
-                    // Give up after 3 attempts
-                    results.push({ success: false, id: queueItem.id, error: error.message });
-                    console.error(`❌ Failed to process queued operation after 3 attempts: ${queueItem.config.operationName}`);
+                const analysis = this.analyzeError(error);
+                record.attempts++;
+                record.lastError = error.message;
+                if (!analysis.isRetryable) {
+                    record.status = 'failed';
+                    if (window.errorHandler) {
+                        window.errorHandler.logError('OUTBOX_MUTATION_REJECTED', error, 'high', { table: record.table, op: record.op });
+                    }
                 }
+                await this.runOutboxRequest('readwrite', store => store.put(record));
+                if (analysis.isRetryable) {
+                    console.warn(`🔄 Sync paused, will retry ${record.table} ${record.op}:`, error.message);
+                    break;
+                }
+                console.error(`❌ Server rejected queued ${record.table} ${record.op}:`, error.message);
             }
 
-            // Small delay between operations to prevent overwhelming the server
             await this.delay(200);
         }
 
-        this.isProcessingQueue = false;
-        
-        if (results.length > 0) {
-            const successCount = results.filter(r => r.success).length;
-            console.log(`📊 Queue processing complete: ${successCount}/${results.length} operations successful`);
+        await this.refreshSyncStatus();
+        if (synced > 0 && typeof showCustomNotification === 'function') {
+            showCustomNotification(`${synced} offline change${synced === 1 ? '' : 's'} synced`, 'success', 2000);
         }
     }
 
+    /**
+     * Write one outbox record, resolving conflicts with newer server rows
+     * @returns {Object} details for the log (e.g. { merged } or { skipped })
+     */
+    async applyMutation(record) {
+        const handler = this.mutationHandlers[`${record.table}:${record.op}`];
+        if (!handler) {
+            throw new Error(`Invalid outbox mutation: ${record.table} ${record.op}`);
+        }
+        return await handler.call(this, record);
+    }
+
+    applyMatch(query, match) {
+        Object.entries(match).forEach(([column, value]) => {
+            query = query.eq(column, value);
+        });
+        return query;
+    }
+
+    get mutationHandlers() {
+        return {
+            // Whole diary day; meals inserted on the server after this change
+            // (another device) are merged into the queued list
+            'daily_meals:replace_day': async (record) => {
+                const db = window.supabaseClient;
+                const { data: serverRows, error: readError } = await this.applyMatch(db.from('daily_meals').select('*'), record.match);
+                if (readError) throw readError;
+
+                const localIds = new Set(record.payload.rows.map(row => row.meal_uuid));
+                const newer = (serverRows || []).filter(row =>
+                    !localIds.has(row.meal_uuid) && (row.timestamp || row.created_at) > record.clientTimestamp);
+                const rows = [
+                    ...record.payload.rows,
+                    ...newer.map(({ id, created_at, updated_at, ...row }) => row)
+                ];
+
+                // Delete and insert in one transaction (ADD-REPLACE-DAILY-MEALS.sql)
+                const { error: replaceError } = await db.rpc('replace_daily_meals', {
+                    meal_user: record.match.user_id,
+                    day: record.match.meal_date,
+                    meal_rows: rows
+                });
+                if (replaceError) throw replaceError;
+                return { meals: rows.length, merged: newer.length };
+            },
+
+            // Last write wins: a server row updated after this change is kept
+            'daily_targets:upsert': async (record) => {
+                const db = window.supabaseClient;
+                const { data: serverRows, error: readError } = await this.applyMatch(db.from('daily_targets').select('updated_at'), record.match).limit(1);
+                if (readError) throw readError;
+
+                const serverUpdatedAt = serverRows?.[0]?.updated_at;
+                if (serverUpdatedAt && new Date(serverUpdatedAt) > new Date(record.clientTimestamp)) {
+                    return { skipped: true, serverUpdatedAt };
+                }
+
+                const { error } = await db.from('daily_targets')
+                    .upsert({ ...record.payload.row, updated_at: record.clientTimestamp }, { onConflict: record.payload.onConflict, ignoreDuplicates: false });
+                if (error) throw error;
+                return { skipped: false };
+            }
+        };
+    }
+
+    async refreshSyncStatus() {
+        const records = await this.getOutboxRecords();
+        this.outboxCounts = {
+            pending: records.filter(record => record.status === 'pending').length,
+            failed: records.filter(record => record.status === 'failed').length
+        };
+        this.syncListeners.forEach(listener => {
+            try {
+                listener({ ...this.outboxCounts, isOnline: this.isOnline });
+            } catch (error) {
+                console.warn('Sync status listener failed:', error.message);
+            }
+        });
+        return this.outboxCounts;
+    }
+
+    /**
+     * @param {Function} listener - called with { pending, failed, isOnline }
+     */
+    onSyncStatusChange(listener) {
+        if (!this.syncListeners.includes(listener)) this.syncListeners.push(listener);
+        listener({ ...this.outboxCounts, isOnline: this.isOnline });
+    }
+
+    /**
+     * Put rejected records back in line, e.g. after the user fixed their session
+     */
+    async retryFailedMutations() {
+        const failed = (await this.getOutboxRecords()).filter(record => record.status === 'failed');
+        for (const record of failed) {
+            record.status = 'pending';
+            await this.runOutboxRequest('readwrite', store => store.put(record));
+        }
+        await this.refreshSyncStatus();
+        this.forceProcessQueue();
+        return failed.length;
+    }
+
     /**
      * Periodic health check
      */
     setupPeriodicHealthCheck() {
-        // Check database connectivity every 30 seconds
+        // Check database connectivity every 30 seconds, and pick up anything left in the outbox
         setInterval(async () => {
             if (this.isOnline) {
                 try {
@@ -499,6 +684,9 @@ class DatabaseErrorRecovery {
                 } catch (error) {
                     console.warn('Database health check failed:', error.message);
                 }
+                if (this.outboxCounts.pending > 0) {
+                    this.processOfflineQueue();
+                }
             }
         }, 30000);
     }
@@ -615,19 +803,13 @@ class DatabaseErrorRecovery {
      */
     getQueueStatus() {
         return {
-            offlineQueueSize: this.offlineQueue.length,
+            pendingSyncCount: this.outboxCounts.pending,
+            failedSyncCount: this.outboxCounts.failed,
             isProcessingQueue: this.isProcessingQueue,
             isOnline: this.isOnline
         };
     }
 
-    clearOfflineQueue() {
-        const count = this.offlineQueue.length;
-        this.offlineQueue = [];
-        console.log(`Cleared ${count} queued operations`);
-        return count;
-    }
-
     forceProcessQueue() {
         if (this.isOnline) {
             this.processOfflineQueue();
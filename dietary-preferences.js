@@ -0,0 +1,179 @@
+/**
+ * DIETARY PREFERENCES
+ *
+ * Dietary tags, allergen flags and per-user restrictions for recipes and meal plans.
+ * - Recipes carry `tags` (diets they fit) and `allergens` (what they contain)
+ * - Recipes without them (older custom recipes) are classified from their ingredients
+ * - "Halal" means no pork or alcohol; meat in those recipes still needs to be halal-certified
+ * - Restrictions { diets, allergens } are kept in localStorage and synced to
+ *   user_preferences.custom_preferences by app.html
+ */
+
+class DietaryPreferences {
+    constructor() {
+        this.diets = {
+            vegetarian: { label: 'Vegetarian', short: 'V' },
+            vegan: { label: 'Vegan', short: 'VG' },
+            gluten_free: { label: 'Gluten-free', short: 'GF' },
+            dairy_free: { label: 'Dairy-free', short: 'DF' },
+            nut_free: { label: 'Nut-free', short: 'NF' },
+            halal: { label: 'Halal', short: 'H' },
+            low_fodmap: { label: 'Low-FODMAP', short: 'LF' }
+        };
+
+        this.allergens = {
+            gluten: { label: 'Gluten' },
+            dairy: { label: 'Dairy' },
+            eggs: { label: 'Eggs' },
+            peanuts: { label: 'Peanuts' },
+            tree_nuts: { label: 'Tree nuts' },
+            soy: { label: 'Soy' },
+            fish: { label: 'Fish' },
+            shellfish: { label: 'Shellfish' },
+            sesame: { label: 'Sesame' }
+        };
+
+        // Ingredient keywords; `not` lists phrases that contain a keyword but don't count
+        this.keywords = {
+            meat: { words: ['chicken', 'beef', 'turkey', 'pork', 'bacon', 'ham', 'steak', 'sirloin', 'lamb', 'sausage', 'pepperoni'], not: ['hamburger bun'] },
+            pork: { words: ['pork', 'bacon', 'ham', 'pepperoni', 'prosciutto'], not: ['hamburger'] },
+            alcohol: { words: ['wine', 'beer', 'rum', 'vodka', 'sake', 'mirin'] },
+            honey: { words: ['honey'] },
+            gluten: {
+                words: ['bread', 'tortilla', 'wrap', 'pita', 'bun', 'bagel', 'pasta', 'spaghetti', 'noodle', 'wheat', 'barley', 'rye', 'couscous', 'oat', 'granola', 'cereal', 'soy sauce', 'teriyaki', 'flour', 'crouton', 'breadcrumb', 'protein bar'],
+                not: ['zucchini noodle', 'rice noodle', 'gluten-free', 'corn tortilla']
+            },
+            dairy: {
+                words: ['milk', 'cheese', 'yogurt', 'feta', 'parmesan', 'mozzarella', 'cheddar', 'butter', 'cream', 'whey', 'tzatziki', 'caesar dressing', 'protein powder'],
+                not: ['almond milk', 'coconut milk', 'oat milk', 'soy milk', 'peanut butter', 'almond butter', 'plant protein']
+            },
+            eggs: { words: ['egg', 'caesar dressing', 'mayo'], not: ['eggplant'] },
+            peanuts: { words: ['peanut'] },
+            tree_nuts: { words: ['almond', 'walnut', 'cashew', 'pecan', 'pistachio', 'hazelnut', 'macadamia'] },
+            soy: { words: ['tofu', 'soy', 'edamame', 'tempeh', 'teriyaki', 'miso'] },
+            fish: { words: ['salmon', 'tuna', 'cod', 'fish', 'anchovy', 'sardine', 'tilapia', 'caesar dressing'] },
+            shellfish: { words: ['shrimp', 'prawn', 'crab', 'lobster', 'scallop', 'mussel'] },
+            sesame: { words: ['sesame', 'tahini', 'hummus'] },
+            high_fodmap: {
+                words: ['onion', 'garlic', 'bean', 'chickpea', 'lentil', 'hummus', 'apple', 'honey', 'mushroom', 'cauliflower', 'avocado', 'milk', 'yogurt', 'cottage cheese', 'cashew', 'pistachio', 'asparagus', 'snap pea', 'mango', 'pear', 'watermelon', 'bread', 'tortilla', 'wrap', 'pita', 'bun', 'pasta', 'spaghetti', 'noodle', 'couscous', 'granola', 'corn', 'tzatziki',
+                    'vegetable', 'marinara', 'tomato sauce', 'salsa', 'sriracha', 'curry paste'],
+                not: ['almond milk', 'coconut milk', 'lactose-free', 'zucchini noodle', 'rice noodle', 'green beans', 'garlic-infused']
+            }
+        };
+
+        this.storageKey = 'dietaryRestrictions';
+    }
+
+    matches(text, group) {
+        const definition = this.keywords[group];
+        let remaining = text;
+        (definition.not || []).forEach(phrase => {
+            remaining = remaining.split(phrase).join(' ');
+        });
+        // Short words must start a word so "oat" doesn't match "goat"
+        return definition.words.some(word => word.length <= 4
+            ? new RegExp(`\\b${word}`).test(remaining)
+            : remaining.includes(word));
+    }
+
+    /**
+     * Classify a recipe from its ingredient list
+     * @returns {Object} { tags, allergens }
+     */
+    classify(recipe) {
+        const ingredients = Array.isArray(recipe?.ingredients)
+            ? recipe.ingredients
+            : String(recipe?.ingredients || '').split(',');
+        const text = ingredients.join(' | ').toLowerCase();
+
+        const allergens = Object.keys(this.allergens).filter(allergen => this.matches(text, allergen));
+        const hasMeat = this.matches(text, 'meat');
+        const hasSeafood = allergens.includes('fish') || allergens.includes('shellfish');
+        const vegetarian = !hasMeat && !hasSeafood;
+
+        const tags = [];
+        if (vegetarian) tags.push('vegetarian');
+        if (vegetarian && !allergens.includes('dairy') && !allergens.includes('eggs') && !this.matches(text, 'honey')) tags.push('vegan');
+        if (!allergens.includes('gluten')) tags.push('gluten_free');
+        if (!allergens.includes('dairy')) tags.push('dairy_free');
+        if (!allergens.includes('peanuts') && !allergens.includes('tree_nuts')) tags.push('nut_free');
+        if (!this.matches(text, 'pork') && !this.matches(text, 'alcohol')) tags.push('halal');
+        if (!this.matches(text, 'high_fodmap')) tags.push('low_fodmap');
+
+        return { tags, allergens };
+    }
+
+    /**
+     * Tags and allergens for a recipe, stored values first
+     */
+    getProfile(recipe) {
+        const hasStored = Array.isArray(recipe?.tags) || Array.isArray(recipe?.allergens);
+        if (hasStored) {
+            return { tags: recipe.tags || [], allergens: recipe.allergens || [] };
+        }
+        return this.classify(recipe);
+    }
+
+    getRestrictions() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return {
+                diets: (stored.diets || []).filter(diet => this.diets[diet]),
+                allergens: (stored.allergens || []).filter(allergen => this.allergens[allergen])
+            };
+        } catch (error) {
+            console.warn('⚠️ Invalid dietary restrictions setting, using none');
+            return { diets: [], allergens: [] };
+        }
+    }
+
+    setRestrictions(restrictions) {
+        const cleaned = {
+            diets: (restrictions?.diets || []).filter(diet => this.diets[diet]),
+            allergens: (restrictions?.allergens || []).filter(allergen => this.allergens[allergen])
+        };
+        localStorage.setItem(this.storageKey, JSON.stringify(cleaned));
+        return cleaned;
+    }
+
+    hasRestrictions(restrictions = this.getRestrictions()) {
+        return restrictions.diets.length > 0 || restrictions.allergens.length > 0;
+    }
+
+    /**
+     * Check one recipe (or planned meal carrying tags/allergens) against restrictions
+     * @returns {Object} { compatible, conflicts } - conflicts are readable reasons
+     */
+    check(recipe, restrictions = this.getRestrictions()) {
+        const profile = this.getProfile(recipe);
+        const conflicts = [];
+
+        restrictions.diets.forEach(diet => {
+            if (!profile.tags.includes(diet)) {
+                conflicts.push(`not ${this.diets[diet].label.toLowerCase()}`);
+            }
+        });
+        restrictions.allergens.forEach(allergen => {
+            if (profile.allergens.includes(allergen)) {
+                conflicts.push(`contains ${this.allergens[allergen].label.toLowerCase()}`);
+            }
+        });
+
+        return { compatible: conflicts.length === 0, conflicts };
+    }
+
+    filterRecipes(recipes, restrictions = this.getRestrictions()) {
+        if (!this.hasRestrictions(restrictions)) return recipes;
+        return recipes.filter(recipe => this.check(recipe, restrictions).compatible);
+    }
+}
+
+// Create global instance
+window.dietaryPreferences = new DietaryPreferences();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('dietaryPreferences', window.dietaryPreferences);
+}
+
+console.logInfo('✅ Dietary Preferences loaded');
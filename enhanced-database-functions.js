@@ -21,7 +21,6 @@ function createEnhancedSaveFunction(originalFunction, functionName, config = {})
             operationName: functionName,
             isCritical: config.isCritical || false,
             enableRetry: config.enableRetry !== false,
-            enableOfflineQueue: config.enableOfflineQueue !== false,
             showUserError: config.showUserError !== false,
             fallbackData: config.fallbackData || null,
             timeout: config.timeout || 15000,
@@ -51,6 +51,7 @@ class EnhancedInvitationHandler {
             }
             
             console.log('Coach invitation code validated:', validation);
+            window.inviteFunnel.track(code, 'link_opened');
             
             // Show registration form for coach invitation
             this.showCoachRegistrationForm(code, validation.coach_name, validation.coach_email);
@@ -91,31 +92,8 @@ class EnhancedInvitationHandler {
 
     async validateCoachInvitationCode(code) {
         try {
-            // Use secure validation function instead of direct table access
-            const { data, error } = await window.supabaseClient
-                .rpc('validate_invitation_code', { input_code: code });
-
-            if (error) {
-                console.error('Error validating invitation code:', error);
-                return { valid: false, message: 'Error validating invitation code' };
-            }
-
-            if (!data || data.length === 0) {
-                return { valid: false, message: 'Invalid or expired invitation code' };
-            }
-
-            const result = data[0];
-            
-            if (!result.is_valid) {
-                return { valid: false, message: 'Invalid or expired invitation code' };
-            }
-
-            return { 
-                valid: true, 
-                coach_email: result.coach_email,
-                coach_name: result.coach_name,
-                code_id: result.code_id
-            };
+            // Secure validation function; expired / exhausted codes come back with a specific message
+            return await window.inviteCodes.validate(code);
 
         } catch (error) {
             console.error('Error validating invitation code:', error);
@@ -340,6 +318,7 @@ class EnhancedInvitationHandler {
             const originalText = submitBtn.textContent;
             submitBtn.textContent = 'Creating Account...';
             submitBtn.disabled = true;
+            window.inviteFunnel.track(invitationCode, 'signup_started');
 
             // Step 1: Create Supabase user account
             const { data: authData, error: authError } = await window.supabaseClient.auth.signUp({
@@ -360,39 +339,17 @@ class EnhancedInvitationHandler {
 
             console.log('User account created:', authData.user?.email);
 
-            // Step 2: Create user profile with coach assignment
-            if (authData.user) {
-                const userProfileData = {
-                    id: crypto.randomUUID ? crypto.randomUUID() : Date.now().toString(),
-                    user_id: authData.user.id,
-                    user_email: authData.user.email,
-                    user_name: fullName,
-                    user_role: 'client', // Proper role assignment
-                    assignment_status: 'assigned',
-                    assigned_coach: coachEmail, // AUTO-ASSIGN TO COACH!
-                    coach_invite_code: invitationCode,
-                    coach_assignment_date: new Date().toISOString(),
-                    role_assigned_at: new Date().toISOString(),
-                    role_assigned_by: 'invitation_code_' + invitationCode,
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString()
-                };
-
-                const { error: profileError } = await window.supabaseClient
-                    .from('user_profiles')
-                    .insert([userProfileData]);
-
-                if (profileError) {
-                    console.error('Error creating user profile:', profileError);
-                    // Continue anyway, profile might be created by trigger
-                }
-
-                // Step 3: Update invitation code usage
-                await this.incrementInvitationCodeUsage(invitationCode);
+            // Without a session yet (email confirmation), the code stays in the user's
+            // metadata and the app redeems it on first sign-in
+            if (!authData.session) {
+                this.showCoachRegistrationSuccess('confirm_email');
+                return;
             }
 
-            // Show success message
-            this.showCoachRegistrationSuccess(coachEmail);
+            // Step 2: Redeem the code, then create the profile; the coach is only
+            // assigned when the use was counted
+            const joined = await window.inviteCodes.joinCoach(authData.user, invitationCode, { fullName, coachEmail });
+            this.showCoachRegistrationSuccess(!joined || joined.counted ? 'assigned' : 'not_applied');
 
             // Redirect after a short delay
             setTimeout(() => {
@@ -477,28 +434,19 @@ class EnhancedInvitationHandler {
         }
     }
 
-    async incrementInvitationCodeUsage(code) {
-        try {
-            // Use secure increment function instead of direct table access
-            const { data, error } = await window.supabaseClient
-                .rpc('increment_invitation_code_usage', { input_code: code });
-
-            if (error) {
-                console.error('Error updating invitation code usage:', error);
-            } else if (data) {
-                console.log('Invitation code usage incremented for:', code);
-            } else {
-                console.warn('Invitation code not found for increment:', code);
-            }
-        } catch (error) {
-            console.error('Error incrementing invitation code usage:', error);
-        }
-    }
-
-    showCoachRegistrationSuccess(coachEmail) {
+    /**
+     * @param {string} status - 'assigned' | 'not_applied' (code no longer usable) | 'confirm_email'
+     */
+    showCoachRegistrationSuccess(status) {
         const content = document.getElementById('invitation-content');
         if (!content) return;
 
+        const details = {
+            assigned: '<p class="text-sm text-blue-600 mb-4">✅ You\'ve been automatically assigned to your coach</p><p class="text-sm text-gray-500">Redirecting to the application...</p>',
+            not_applied: '<p class="text-sm text-yellow-700 mb-4">This invitation code is no longer valid, so no coach was assigned. Ask your coach for a new code.</p><p class="text-sm text-gray-500">Redirecting to the application...</p>',
+            confirm_email: '<p class="text-sm text-blue-600 mb-4">Check your email to confirm your account, then sign in to join your coach.</p>'
+        };
+
         content.innerHTML = `
             <div class="text-center">
                 <div class="inline-block p-3 bg-green-100 rounded-full mb-4">
@@ -506,8 +454,7 @@ class EnhancedInvitationHandler {
                 </div>
                 <h3 class="text-xl font-bold text-gray-900 mb-2">Welcome to the Team!</h3>
                 <p class="text-gray-600 mb-2">Your account has been created successfully.</p>
-                <p class="text-sm text-blue-600 mb-4">✅ You've been automatically assigned to your coach</p>
-                <p class="text-sm text-gray-500">Redirecting to the application...</p>
+                ${details[status]}
             </div>
         `;
     }
@@ -432,6 +432,11 @@ class ErrorHandlingSystem {
         if (this.errorLog.length > 100) {
             this.errorLog = this.errorLog.slice(-100);
         }
+
+        // Ship it off the device (error-telemetry.js)
+        if (window.errorTelemetry) {
+            window.errorTelemetry.capture(errorEntry);
+        }
         
         // Log to console based on severity
         if (severity === 'critical') {
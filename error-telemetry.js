@@ -0,0 +1,313 @@
+/**
+ * ERROR TELEMETRY
+ *
+ * Ships errors logged through ErrorHandlingSystem.logError (which also receives
+ * EnhancedErrorReporter's reports) off the device so they outlive the page.
+ * - Each error is scrubbed of emails, tokens, ids and query strings first, and
+ *   only known context fields with plain values are kept (contextKeys)
+ * - Errors with the same fingerprint (message + top stack frame) on the same
+ *   page and browser are de-duplicated into one entry with a count
+ * - Entries are sent in batches to the client_errors table through
+ *   record_client_errors, or to an HTTP endpoint when one is configured:
+ *     window.ERROR_TELEMETRY_CONFIG = { endpoint: 'https://...', headers: {} }
+ *   (set before this script loads)
+ * - Unsent entries are kept in localStorage and sent on the next page load
+ * getGroups() backs the error dashboard in the owner portal.
+ * Table and function are in ADD-CLIENT-ERRORS.sql.
+ */
+
+class ErrorTelemetry {
+    constructor(config = {}) {
+        this.config = {
+            endpoint: null,
+            headers: {},
+            batchSize: 25,
+            flushDelay: 10000,
+            maxPending: 100,
+            ...config
+        };
+        this.storageKey = 'errorTelemetryPending';
+        this.contextKeys = [
+            'operation', 'attempt', 'isNetworkError', 'isRetryable', 'table', 'op', 'key',
+            'inputType', 'errorCount', 'userNotified', 'isAuthenticated', 'isAnonymous',
+            'is_authenticated', 'requires_login'
+        ];
+        this.pending = new Map(); // key: fingerprint|page|browser → entry
+        this.flushTimer = null;
+        this.flushing = false;
+    }
+
+    init() {
+        this.loadPending();
+
+        // Errors logged before this script loaded
+        (window.errorHandler?.errorLog || []).forEach(entry => this.capture(entry));
+
+        window.addEventListener('pagehide', () => this.savePending());
+        window.addEventListener('online', () => this.scheduleFlush(0));
+        if (this.pending.size > 0) this.scheduleFlush();
+    }
+
+    /**
+     * Replace anything that could identify a person
+     */
+    scrub(text) {
+        if (text === null || text === undefined) return null;
+        return String(text)
+            .replace(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g, '[email]')
+            .replace(/eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, '[token]')
+            .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '[id]')
+            .replace(/(https?:\/\/[^\s?#'")]+)[?#][^\s'")]*/g, '$1')
+            .replace(/\+?\d[\d\s().-]{8,}\d/g, '[number]')
+            .slice(0, 2000);
+    }
+
+    /**
+     * The whitelisted, non-object context fields as scrubbed JSON; payloads,
+     * ids and free-form metadata are left out
+     */
+    pickContext(context) {
+        const picked = {};
+        this.contextKeys.forEach(key => {
+            const value = context?.[key];
+            if (['string', 'number', 'boolean'].includes(typeof value)) picked[key] = value;
+        });
+        return this.scrub(JSON.stringify(picked));
+    }
+
+    /**
+     * First stack line that points at code, without the column
+     */
+    topFrame(stack) {
+        const line = String(stack || '').split('\n').map(frame => frame.trim())
+            .find(frame => /^at\s|^[^\s@]*@/.test(frame) && /:\d+/.test(frame));
+        return line ? this.scrub(line).replace(/:\d+\)?$/, match => match.endsWith(')') ? ')' : '') : null;
+    }
+
+    fingerprint(message, frame) {
+        // Numbers vary between otherwise identical errors (ids, counts, timings)
+        const text = `${String(message).replace(/\d+/g, 'N')}|${frame || ''}`;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    page() {
+        return window.location.pathname.split('/').pop() || 'index.html';
+    }
+
+    /**
+     * e.g. "Chrome 120", "Safari 17", "Firefox 121"
+     */
+    browser(userAgent = navigator.userAgent) {
+        const known = [
+            ['Edge', /Edg\/(\d+)/],
+            ['Samsung Internet', /SamsungBrowser\/(\d+)/],
+            ['Opera', /OPR\/(\d+)/],
+            ['Firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+            ['Chrome', /(?:Chrome|CriOS)\/(\d+)/],
+            ['Safari', /Version\/(\d+).*Safari/]
+        ];
+        for (const [name, pattern] of known) {
+            const match = userAgent.match(pattern);
+            if (match) return `${name} ${match[1]}`;
+        }
+        return 'Other';
+    }
+
+    /**
+     * Add an ErrorHandlingSystem log entry to the next batch
+     * @param {Object} entry - { timestamp, category, severity, message, stack, context }
+     */
+    capture(entry) {
+        try {
+            const message = this.scrub(typeof entry.message === 'object' ? JSON.stringify(entry.message) : entry.message) || 'Unknown error';
+            const frame = this.topFrame(entry.stack);
+            const fingerprint = this.fingerprint(message, frame);
+            const page = this.page();
+            const browser = this.browser();
+            const key = `${fingerprint}|${page}|${browser}`;
+            const seenAt = entry.timestamp || new Date().toISOString();
+
+            const existing = this.pending.get(key);
+            if (existing) {
+                existing.count++;
+                existing.last_seen = seenAt;
+            } else {
+                if (this.pending.size >= this.config.maxPending) return;
+                this.pending.set(key, {
+                    fingerprint,
+                    page,
+                    browser,
+                    message,
+                    stack_frame: frame,
+                    stack: this.scrub(entry.stack),
+                    category: entry.category || null,
+                    severity: entry.severity || null,
+                    context: this.pickContext(entry.context),
+                    count: 1,
+                    first_seen: seenAt,
+                    last_seen: seenAt
+                });
+            }
+            // Keep an already scheduled flush so a stream of errors can't postpone it
+            if (!this.flushTimer) this.scheduleFlush();
+        } catch (error) {
+            // Telemetry must never add errors of its own
+        }
+    }
+
+    scheduleFlush(delay = this.config.flushDelay) {
+        if (this.flushTimer) clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, delay);
+    }
+
+    async flush() {
+        if (this.flushing || this.pending.size === 0 || !navigator.onLine) return;
+        this.flushing = true;
+
+        const keys = [...this.pending.keys()].slice(0, this.config.batchSize);
+        const batch = keys.map(key => this.pending.get(key));
+        keys.forEach(key => this.pending.delete(key));
+
+        try {
+            await this.send(batch);
+            this.savePending();
+        } catch (error) {
+            console.warn('⚠️ Error telemetry not sent, will retry:', error.message);
+            // Put the batch back, merging anything logged meanwhile
+            batch.forEach(entry => {
+                const key = `${entry.fingerprint}|${entry.page}|${entry.browser}`;
+                const newer = this.pending.get(key);
+                this.pending.set(key, newer
+                    ? { ...entry, count: entry.count + newer.count, last_seen: newer.last_seen }
+                    : entry);
+            });
+            this.savePending();
+            this.flushing = false;
+            this.scheduleFlush(this.config.flushDelay * 6);
+            return;
+        }
+
+        this.flushing = false;
+        if (this.pending.size > 0) this.scheduleFlush(0);
+    }
+
+    async send(batch) {
+        if (this.config.endpoint) {
+            const response = await fetch(this.config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.config.headers },
+                body: JSON.stringify({ errors: batch }),
+                keepalive: true
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return;
+        }
+
+        if (!window.supabaseClient) throw new Error('Supabase client not available');
+        const { error } = await window.supabaseClient.rpc('record_client_errors', { errors: batch });
+        if (error) throw error;
+    }
+
+    savePending() {
+        try {
+            if (this.pending.size === 0) {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, JSON.stringify([...this.pending.values()]));
+            }
+        } catch (error) {
+            // Storage full or unavailable; the entries are still in memory
+        }
+    }
+
+    loadPending() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            saved.forEach(entry => this.pending.set(`${entry.fingerprint}|${entry.page}|${entry.browser}`, entry));
+        } catch (error) {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+
+    /**
+     * client_errors rows seen since `days` ago, grouped for the owner dashboard
+     * @param {string} by - 'fingerprint' | 'page' | 'browser'
+     * @returns {Array} [{ key, message, stackFrame, category, severity, count, pages, browsers, fingerprints, firstSeen, lastSeen }], most frequent first
+     */
+    async getGroups(by = 'fingerprint', days = 7) {
+        if (!window.supabaseClient) throw new Error('Supabase client not available');
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const { data, error } = await window.supabaseClient
+            .from('client_errors')
+            .select('*')
+            .gte('last_seen', since)
+            .order('last_seen', { ascending: false })
+            .limit(2000);
+        if (error) throw error;
+        return this.groupRows(data || [], by);
+    }
+
+    /**
+     * Delete the client_errors rows of fixed errors
+     */
+    async clear(fingerprints) {
+        const { error } = await window.supabaseClient
+            .from('client_errors')
+            .delete()
+            .in('fingerprint', fingerprints);
+        if (error) throw error;
+    }
+
+    groupRows(rows, by) {
+        const groups = new Map();
+        rows.forEach(row => {
+            const key = row[by] || 'unknown';
+            let group = groups.get(key);
+            if (!group) {
+                group = {
+                    key,
+                    message: row.message,
+                    stackFrame: row.stack_frame,
+                    category: row.category,
+                    severity: row.severity,
+                    count: 0,
+                    pages: new Set(),
+                    browsers: new Set(),
+                    fingerprints: new Set(),
+                    firstSeen: row.first_seen,
+                    lastSeen: row.last_seen
+                };
+                groups.set(key, group);
+            }
+            group.count += row.count || 0;
+            group.pages.add(row.page);
+            group.browsers.add(row.browser);
+            group.fingerprints.add(row.fingerprint);
+            if (row.first_seen < group.firstSeen) group.firstSeen = row.first_seen;
+            if (row.last_seen > group.lastSeen) group.lastSeen = row.last_seen;
+        });
+
+        return [...groups.values()]
+            .map(group => ({ ...group, pages: [...group.pages], browsers: [...group.browsers], fingerprints: [...group.fingerprints] }))
+            .sort((a, b) => b.count - a.count);
+    }
+}
+
+// Create global instance
+window.errorTelemetry = new ErrorTelemetry(window.ERROR_TELEMETRY_CONFIG || {});
+window.errorTelemetry.init();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('errorTelemetry', window.errorTelemetry);
+}
+
+console.logInfo('✅ Error Telemetry loaded');
@@ -0,0 +1,269 @@
+/**
+ * FOOD DATABASE
+ *
+ * Searchable local food database for the daily tracker.
+ * - Bundled foods are loaded from food-database.json
+ * - User-added foods are stored in IndexedDB (localStorage fallback)
+ * All nutrition values are stored per 100 g.
+ */
+
+class FoodDatabase {
+    constructor() {
+        this.bundledFoods = [];
+        this.customFoods = [];
+        this.isLoaded = false;
+        this.loadPromise = null;
+        this.db = null;
+
+        this.config = {
+            dataUrl: 'food-database.json',
+            dbName: 'macroTrackerFoods',
+            dbVersion: 1,
+            customStore: 'customFoods',
+            localStorageKey: 'customFoods',
+            searchLimit: 12
+        };
+    }
+
+    /**
+     * Load bundled and custom foods (safe to call repeatedly)
+     */
+    async init() {
+        if (this.isLoaded) return true;
+        if (this.loadPromise) return this.loadPromise;
+
+        this.loadPromise = (async () => {
+            await Promise.all([
+                this.loadBundledFoods(),
+                this.loadCustomFoods()
+            ]);
+            this.isLoaded = true;
+            console.logInfo(`🍎 Food database ready: ${this.bundledFoods.length} bundled, ${this.customFoods.length} custom foods`);
+            return true;
+        })();
+
+        return this.loadPromise;
+    }
+
+    async loadBundledFoods() {
+        try {
+            const response = await fetch(this.config.dataUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.bundledFoods = (data.foods || []).map(food => ({ ...food, source: 'bundled' }));
+        } catch (error) {
+            console.warn('⚠️ Could not load bundled food database:', error.message);
+            this.bundledFoods = [];
+        }
+    }
+
+    /**
+     * Open (or create) the IndexedDB database holding user-added foods
+     */
+    openDatabase() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = window.indexedDB.open(this.config.dbName, this.config.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.config.customStore)) {
+                    db.createObjectStore(this.config.customStore, { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async loadCustomFoods() {
+        try {
+            const db = await this.openDatabase();
+            this.customFoods = await new Promise((resolve, reject) => {
+                const request = db
+                    .transaction(this.config.customStore, 'readonly')
+                    .objectStore(this.config.customStore)
+                    .getAll();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.warn('⚠️ IndexedDB unavailable for custom foods, using localStorage:', error.message);
+            const stored = localStorage.getItem(this.config.localStorageKey);
+            this.customFoods = stored ? JSON.parse(stored) : [];
+        }
+    }
+
+    async persistCustomFood(food) {
+        try {
+            const db = await this.openDatabase();
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(this.config.customStore, 'readwrite');
+                tx.objectStore(this.config.customStore).put(food);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (error) {
+            localStorage.setItem(this.config.localStorageKey, JSON.stringify(this.customFoods));
+        }
+    }
+
+    async removeCustomFood(foodId) {
+        try {
+            const db = await this.openDatabase();
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(this.config.customStore, 'readwrite');
+                tx.objectStore(this.config.customStore).delete(foodId);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (error) {
+            localStorage.setItem(this.config.localStorageKey, JSON.stringify(this.customFoods));
+        }
+    }
+
+    getAllFoods() {
+        return [...this.customFoods, ...this.bundledFoods];
+    }
+
+    getFood(foodId) {
+        return this.getAllFoods().find(food => food.id === foodId) || null;
+    }
+
+    /**
+     * Search foods by name; every word in the query must match.
+     * Names starting with the query rank first, custom foods before bundled ones.
+     */
+    search(query, limit = this.config.searchLimit) {
+        const normalized = (query || '').toLowerCase().trim();
+        if (!normalized) return [];
+
+        const terms = normalized.split(/\s+/);
+
+        return this.getAllFoods()
+            .filter(food => {
+                const name = food.name.toLowerCase();
+                return terms.every(term => name.includes(term));
+            })
+            .map(food => {
+                const name = food.name.toLowerCase();
+                let score = name.startsWith(normalized) ? 0 : 1;
+                if (food.source !== 'custom') score += 2;
+                return { food, score };
+            })
+            .sort((a, b) => a.score - b.score || a.food.name.localeCompare(b.food.name))
+            .slice(0, limit)
+            .map(result => result.food);
+    }
+
+    /**
+     * Add a user-defined food
+     * @param {Object} foodData - { name, calories, protein, carbs, fat, servingLabel, servingGrams }
+     *        plus any optional nutrient keys (fiber, sodium, ...); nutrition values are per 100 g
+     */
+    async addCustomFood(foodData) {
+        if (!foodData.name || !foodData.name.trim()) {
+            throw new Error('Food name is required');
+        }
+
+        const food = {
+            id: 'custom-' + Date.now(),
+            name: foodData.name.trim(),
+            category: foodData.category || 'custom',
+            source: 'custom',
+            per100g: {
+                ...(window.nutrientTargets ? window.nutrientTargets.pickNutrients(foodData) : {}),
+                calories: parseFloat(foodData.calories) || 0,
+                protein: parseFloat(foodData.protein) || 0,
+                carbs: parseFloat(foodData.carbs) || 0,
+                fat: parseFloat(foodData.fat) || 0
+            },
+            servings: [],
+            createdAt: new Date().toISOString()
+        };
+
+        const servingGrams = parseFloat(foodData.servingGrams);
+        if (servingGrams > 0) {
+            food.servings.push({
+                label: (foodData.servingLabel || '1 serving').trim(),
+                grams: servingGrams
+            });
+        }
+
+        // Derive calories from macros when not provided
+        if (!food.per100g.calories) {
+            food.per100g.calories = Math.round(
+                (food.per100g.protein * 4) + (food.per100g.carbs * 4) + (food.per100g.fat * 9)
+            );
+        }
+
+        this.customFoods.push(food);
+        await this.persistCustomFood(food);
+        return food;
+    }
+
+    async deleteCustomFood(foodId) {
+        const before = this.customFoods.length;
+        this.customFoods = this.customFoods.filter(food => food.id !== foodId);
+        if (this.customFoods.length !== before) {
+            await this.removeCustomFood(foodId);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Convert a quantity to grams
+     * @param {Object} food - Food entry
+     * @param {number} quantity - Amount entered by the user
+     * @param {string} unit - 'g' or the index of one of food.servings
+     */
+    toGrams(food, quantity, unit = 'g') {
+        const amount = parseFloat(quantity) || 0;
+        if (unit === 'g' || unit === undefined || unit === null) {
+            return amount;
+        }
+        const serving = food.servings?.[parseInt(unit, 10)];
+        return serving ? amount * serving.grams : amount;
+    }
+
+    /**
+     * Nutrition for a given weight of a food, rounded for the tracker inputs
+     */
+    calculateNutrition(food, grams) {
+        const factor = (parseFloat(grams) || 0) / 100;
+        const per100g = food.per100g || {};
+
+        return {
+            calories: Math.round((per100g.calories || 0) * factor),
+            protein: Math.round((per100g.protein || 0) * factor * 10) / 10,
+            carbs: Math.round((per100g.carbs || 0) * factor * 10) / 10,
+            fat: Math.round((per100g.fat || 0) * factor * 10) / 10,
+            // Fiber, sodium, vitamins etc. when the food has them
+            ...(window.nutrientTargets ? window.nutrientTargets.pickNutrients(per100g, factor) : {})
+        };
+    }
+}
+
+// Create global instance
+window.foodDatabase = new FoodDatabase();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('foodDatabase', window.foodDatabase);
+}
+
+console.logInfo('✅ Food Database loaded');
@@ -0,0 +1,115 @@
+/**
+ * FOOD DIARY STORE
+ *
+ * Local (offline) storage for the multi-day food diary.
+ * Meals are kept per logical diary date (YYYY-MM-DD in the user's local time),
+ * the same value written to daily_meals.meal_date and macro_history.date.
+ */
+
+class FoodDiaryStore {
+    constructor() {
+        this.storageKey = 'diaryMeals';
+        this.maxDays = 120; // Older local days are pruned; Supabase keeps the full history
+    }
+
+    /**
+     * Local calendar date as YYYY-MM-DD (toISOString would give the UTC date)
+     */
+    toDateKey(date = new Date()) {
+        const d = date instanceof Date ? date : new Date(date);
+        const month = String(d.getMonth() + 1).padStart(2, '0');
+        const day = String(d.getDate()).padStart(2, '0');
+        return `${d.getFullYear()}-${month}-${day}`;
+    }
+
+    todayKey() {
+        return this.toDateKey(new Date());
+    }
+
+    /**
+     * Parse a YYYY-MM-DD key as a local date (new Date('YYYY-MM-DD') is UTC midnight)
+     */
+    fromDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    addDays(dateKey, days) {
+        const date = this.fromDateKey(dateKey);
+        date.setDate(date.getDate() + days);
+        return this.toDateKey(date);
+    }
+
+    /**
+     * Human label: Today / Yesterday / Tomorrow or a short date
+     */
+    formatLabel(dateKey) {
+        const today = this.todayKey();
+        if (dateKey === today) return 'Today';
+        if (dateKey === this.addDays(today, -1)) return 'Yesterday';
+        if (dateKey === this.addDays(today, 1)) return 'Tomorrow';
+
+        return this.fromDateKey(dateKey).toLocaleDateString(undefined, {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            year: dateKey.slice(0, 4) === today.slice(0, 4) ? undefined : 'numeric'
+        });
+    }
+
+    getAll() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            const parsed = stored ? JSON.parse(stored) : {};
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch (error) {
+            console.warn('⚠️ Food diary storage is corrupted, starting fresh:', error.message);
+            return {};
+        }
+    }
+
+    getMeals(dateKey) {
+        const meals = this.getAll()[dateKey];
+        return Array.isArray(meals) ? meals : [];
+    }
+
+    hasDay(dateKey) {
+        return Object.prototype.hasOwnProperty.call(this.getAll(), dateKey);
+    }
+
+    setMeals(dateKey, meals) {
+        const diary = this.getAll();
+
+        // An empty day is kept explicitly so a cleared day isn't refilled from legacy storage
+        diary[dateKey] = meals && meals.length > 0 ? meals : [];
+
+        // Prune the oldest days beyond the local retention window
+        const dates = Object.keys(diary).sort();
+        while (dates.length > this.maxDays) {
+            delete diary[dates.shift()];
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(diary));
+    }
+
+    /**
+     * Dates with at least one logged meal, newest first
+     */
+    getLoggedDates() {
+        const diary = this.getAll();
+        return Object.keys(diary)
+            .filter(dateKey => Array.isArray(diary[dateKey]) && diary[dateKey].length > 0)
+            .sort()
+            .reverse();
+    }
+}
+
+// Create global instance
+window.foodDiary = new FoodDiaryStore();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('foodDiary', window.foodDiary);
+}
+
+console.logInfo('✅ Food Diary Store loaded');
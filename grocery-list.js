@@ -0,0 +1,442 @@
+/**
+ * GROCERY LIST
+ *
+ * Turns the weekly meal plan into a shopping list.
+ * - Normalizes ingredient names so "2 eggs", "Egg whites" and "Egg, whole" share one line
+ * - Sums quantities across planned servings, converting units within weight, volume and count
+ * - Groups items by store section
+ * - Keeps check-off state (localStorage, synced to user_preferences by app.html)
+ */
+
+class GroceryListBuilder {
+    constructor() {
+        // Store sections in walking order
+        this.aisles = [
+            'Produce',
+            'Meat & Seafood',
+            'Dairy & Eggs',
+            'Bakery',
+            'Grains & Pasta',
+            'Canned & Dry Goods',
+            'Nuts & Seeds',
+            'Condiments & Spices',
+            'Frozen',
+            'Beverages',
+            'Other'
+        ];
+
+        // Units in base amounts: weight in g, volume in ml, count in items
+        this.units = {
+            g: { dimension: 'weight', factor: 1 },
+            gram: { dimension: 'weight', factor: 1 },
+            kg: { dimension: 'weight', factor: 1000 },
+            oz: { dimension: 'weight', factor: 28.3495 },
+            ounce: { dimension: 'weight', factor: 28.3495 },
+            lb: { dimension: 'weight', factor: 453.592 },
+            pound: { dimension: 'weight', factor: 453.592 },
+            ml: { dimension: 'volume', factor: 1 },
+            l: { dimension: 'volume', factor: 1000 },
+            liter: { dimension: 'volume', factor: 1000 },
+            litre: { dimension: 'volume', factor: 1000 },
+            cup: { dimension: 'volume', factor: 240 },
+            tbsp: { dimension: 'volume', factor: 15 },
+            tablespoon: { dimension: 'volume', factor: 15 },
+            tsp: { dimension: 'volume', factor: 5 },
+            teaspoon: { dimension: 'volume', factor: 5 },
+            'fl oz': { dimension: 'volume', factor: 29.5735 },
+            piece: { dimension: 'count', factor: 1 },
+            slice: { dimension: 'count', factor: 1 },
+            clove: { dimension: 'count', factor: 1 },
+            fillet: { dimension: 'count', factor: 1 },
+            breast: { dimension: 'count', factor: 1 },
+            can: { dimension: 'count', factor: 1 },
+            scoop: { dimension: 'count', factor: 1 }
+        };
+
+        // Preparation words that don't change what you buy
+        this.descriptors = [
+            'fresh', 'chopped', 'diced', 'sliced', 'minced', 'grated', 'shredded', 'cooked', 'raw',
+            'grilled', 'roasted', 'baked', 'boiled', 'steamed', 'canned', 'frozen', 'organic',
+            'large', 'medium', 'small', 'firm', 'plain', 'dry', 'ripe', 'mixed', 'of'
+        ];
+
+        // Different names for the same purchase
+        this.aliases = {
+            'egg white': 'egg',
+            'whole egg': 'egg',
+            'chicken': 'chicken breast',
+            'grilled chicken': 'chicken breast',
+            'whey protein': 'protein powder',
+            'whey protein powder': 'protein powder',
+            'lean ground beef': 'ground beef',
+            'lean beef': 'ground beef',
+            'berry': 'berries',
+            'tortilla': 'whole wheat tortilla',
+            'wrap': 'whole wheat tortilla',
+            'bun': 'whole wheat bun',
+            'broth': 'vegetable broth',
+            'cherry tomato': 'tomato',
+            'chia': 'chia seed',
+            'oat': 'oats',
+            'zucchini noodle': 'zucchini',
+            'marinara': 'marinara sauce'
+        };
+
+        // Shop-by-count items with a typical weight, so weights from built recipes become counts
+        this.gramsEach = {
+            egg: 50,
+            banana: 118,
+            apple: 182,
+            orange: 131,
+            avocado: 150,
+            lemon: 60,
+            lime: 45,
+            onion: 110,
+            tomato: 120,
+            'bell pepper': 120,
+            'sweet potato': 130,
+            potato: 170,
+            cucumber: 300,
+            zucchini: 200,
+            bagel: 105
+        };
+
+        // Keyword → store section; keywords match whole words of the normalized
+        // name and the first section that matches wins, so specific words come first
+        this.aisleKeywords = [
+            ['Beverages', ['almond milk', 'soy milk', 'oat milk', 'coconut milk', 'juice', 'coffee', 'tea']],
+            ['Condiments & Spices', ['sauce', 'dressing', 'salsa', 'mustard', 'honey', 'soy', 'sriracha', 'curry paste', 'cinnamon', 'nutmeg', 'basil', 'parsley', 'oil', 'vinegar', 'tzatziki', 'marinara', 'salt', 'pepper flakes', 'spice']],
+            ['Nuts & Seeds', ['almond', 'walnut', 'peanut', 'cashew', 'chia', 'sesame', 'flaxseed', 'seed', 'nut']],
+            ['Dairy & Eggs', ['egg', 'milk', 'cheese', 'yogurt', 'feta', 'parmesan', 'mozzarella', 'cheddar', 'butter', 'cream']],
+            ['Meat & Seafood', ['chicken', 'beef', 'turkey', 'pork', 'steak', 'salmon', 'tuna', 'cod', 'shrimp', 'fish', 'sirloin']],
+            ['Bakery', ['bread', 'bun', 'bagel', 'pita', 'tortilla', 'wrap']],
+            ['Grains & Pasta', ['rice', 'quinoa', 'oatmeal', 'oat', 'pasta', 'spaghetti', 'noodle', 'granola', 'cereal']],
+            ['Canned & Dry Goods', ['bean', 'lentil', 'chickpea', 'broth', 'protein powder', 'hummus', 'olive', 'chocolate', 'protein bar']],
+            ['Produce', ['spinach', 'lettuce', 'romaine', 'salad', 'tomato', 'onion', 'pepper', 'broccoli', 'carrot', 'celery', 'cucumber', 'zucchini', 'asparagus', 'mushroom', 'potato', 'corn', 'pea', 'eggplant', 'squash', 'vegetable', 'garlic', 'avocado', 'lemon', 'lime', 'apple', 'banana', 'berries', 'berry', 'strawberry', 'blueberry', 'raspberry', 'orange', 'grapefruit', 'grape', 'pineapple', 'coconut', 'fruit', 'tofu']]
+        ];
+        this.aislePatterns = this.aisleKeywords.map(([aisle, keywords]) => [aisle, new RegExp(`\\b(?:${keywords.join('|')})\\b`)]);
+
+        // Food database categories → store section
+        this.categoryAisles = {
+            protein: 'Meat & Seafood',
+            dairy: 'Dairy & Eggs',
+            grains: 'Grains & Pasta',
+            vegetables: 'Produce',
+            fruits: 'Produce',
+            legumes: 'Canned & Dry Goods',
+            beverages: 'Beverages'
+        };
+
+        this.storageKey = 'groceryChecked';
+    }
+
+    singularize(word) {
+        if (word.length <= 3 || word.endsWith('ss') || word.endsWith('us')) return word;
+        if (word === 'berries') return word; // kept plural as a product ("mixed berries")
+        if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+        if (word.endsWith('oes')) return word.slice(0, -2);
+        if (word.endsWith('ches') || word.endsWith('shes')) return word.slice(0, -2);
+        if (word.endsWith('s')) return word.slice(0, -1);
+        return word;
+    }
+
+    /**
+     * Canonical shopping name, e.g. "Chicken breast, cooked" → "chicken breast",
+     * "Egg whites" → "egg", "chopped tomatoes" → "tomato"
+     */
+    normalizeName(name) {
+        let normalized = (name || '')
+            .toLowerCase()
+            .split(',')[0]                 // food database style "Name, preparation"
+            .replace(/\(.*?\)/g, ' ')       // "(150 g)"
+            .replace(/[^a-z0-9%\s-]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word && !this.descriptors.includes(word))
+            .map(word => this.singularize(word))
+            .join(' ')
+            .trim();
+
+        if (this.aliases[normalized]) {
+            normalized = this.aliases[normalized];
+        }
+        return normalized;
+    }
+
+    /**
+     * Parse free-text like "2 eggs", "1 1/2 cups oats", "150g chicken breast", "½ avocado"
+     * @returns {Object} { name, quantity, unit } - quantity is null when none is given
+     */
+    parseIngredient(text) {
+        let rest = (text || '')
+            .replace(/½/g, ' 1/2').replace(/¼/g, ' 1/4').replace(/¾/g, ' 3/4').replace(/⅓/g, ' 1/3')
+            .trim();
+
+        const quantityMatch = rest.match(/^(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?)\s*/);
+        if (!quantityMatch) {
+            return { name: rest, quantity: null, unit: null };
+        }
+
+        const quantity = quantityMatch[1].split(/\s+/).reduce((sum, part) => {
+            if (part.includes('/')) {
+                const [numerator, denominator] = part.split('/').map(Number);
+                return sum + (denominator ? numerator / denominator : 0);
+            }
+            return sum + parseFloat(part);
+        }, 0);
+        rest = rest.slice(quantityMatch[0].length);
+
+        // Longest unit first so "fl oz" wins over "oz"
+        const unitNames = Object.keys(this.units).sort((a, b) => b.length - a.length);
+        let unit = null;
+        for (const unitName of unitNames) {
+            const unitMatch = rest.match(new RegExp(`^${unitName}(?:e?s)?\\.?(?:\\s+|$)`, 'i'));
+            if (unitMatch) {
+                unit = unitName;
+                rest = rest.slice(unitMatch[0].length);
+                break;
+            }
+        }
+
+        // "x" as in "2 x 1 large egg" from the recipe builder
+        rest = rest.replace(/^[x×]\s+/i, '');
+
+        return { name: rest.trim(), quantity, unit };
+    }
+
+    /**
+     * Store section for an ingredient
+     */
+    getAisle(name, foodCategory = null) {
+        const normalized = this.normalizeName(name);
+
+        for (const [aisle, pattern] of this.aislePatterns) {
+            if (pattern.test(normalized)) {
+                return aisle;
+            }
+        }
+        return this.categoryAisles[foodCategory] || 'Other';
+    }
+
+    /**
+     * Add one quantity to a list item, converting to the item's base units
+     */
+    addAmount(item, quantity, unit) {
+        if (quantity === null || quantity === undefined) {
+            item.unquantified += 1;
+            return;
+        }
+
+        const unitInfo = this.units[unit] || { dimension: 'count', factor: 1 };
+        if (unitInfo.dimension === 'count' && unit && unit !== 'piece') {
+            // Slices, cans, scoops... stay in their own unit
+            item.otherUnits[unit] = (item.otherUnits[unit] || 0) + quantity;
+            return;
+        }
+        item.amounts[unitInfo.dimension] += quantity * unitInfo.factor;
+    }
+
+    /**
+     * Build a grocery list from a meal plan
+     * @param {Object} mealPlan - { monday: { breakfast: [...], lunch: [...], ... }, ... }
+     * @param {Function} findRecipe - planned item → recipe (or null)
+     * @returns {Object} { items, mealNames, totalMeals }
+     *
+     * Each planned item is one serving. Built recipes are divided by their servingCount;
+     * text-only recipes are assumed to list one serving.
+     */
+    build(mealPlan, findRecipe) {
+        const items = {};
+        const mealNames = new Set();
+        let totalMeals = 0;
+
+        const getItem = (name, foodCategory = null) => {
+            const key = this.normalizeName(name);
+            if (!key) return null;
+            if (!items[key]) {
+                items[key] = {
+                    key,
+                    name: key.charAt(0).toUpperCase() + key.slice(1),
+                    aisle: this.getAisle(key, foodCategory),
+                    amounts: { weight: 0, volume: 0, count: 0 },
+                    otherUnits: {},
+                    unquantified: 0,
+                    recipes: new Set()
+                };
+            }
+            return items[key];
+        };
+
+        Object.values(mealPlan || {}).forEach(dayPlan => {
+            Object.entries(dayPlan || {}).forEach(([section, plannedItems]) => {
+                if (!Array.isArray(plannedItems)) return;
+
+                plannedItems.forEach(planned => {
+                    totalMeals++;
+                    mealNames.add(planned.name);
+                    const recipe = findRecipe(planned, section);
+
+                    if (recipe && Array.isArray(recipe.ingredientItems) && recipe.ingredientItems.length > 0) {
+                        const perServing = 1 / (recipe.servingCount || 1);
+                        recipe.ingredientItems.forEach(ingredient => {
+                            const food = window.foodDatabase?.getFood(ingredient.foodId);
+                            const item = getItem(ingredient.name, food?.category);
+                            if (!item) return;
+                            item.recipes.add(recipe.name);
+                            this.addAmount(item, ingredient.grams * perServing, 'g');
+                        });
+
+                        // Free-text extras saved alongside built ingredients
+                        const builtText = new Set(recipe.ingredientItems.map(ingredient =>
+                            window.recipeBuilder ? window.recipeBuilder.formatIngredient(ingredient) : ''
+                        ));
+                        (recipe.ingredients || [])
+                            .filter(text => !builtText.has(text))
+                            .forEach(text => this.addTextIngredient(getItem, recipe.name, text, perServing));
+                    } else if (recipe && recipe.ingredients) {
+                        const ingredients = typeof recipe.ingredients === 'string'
+                            ? recipe.ingredients.split(',')
+                            : recipe.ingredients;
+                        ingredients.forEach(text => this.addTextIngredient(getItem, recipe.name, text, 1));
+                    } else {
+                        // No recipe: buy the meal itself
+                        const item = getItem(planned.name);
+                        if (item) {
+                            item.recipes.add(planned.name);
+                            this.addAmount(item, null, null);
+                        }
+                    }
+                });
+            });
+        });
+
+        return { items: Object.values(items), mealNames: Array.from(mealNames).sort(), totalMeals };
+    }
+
+    addTextIngredient(getItem, recipeName, text, scale) {
+        const parsed = this.parseIngredient(text);
+        const item = getItem(parsed.name);
+        if (!item) return;
+        item.recipes.add(recipeName);
+        this.addAmount(item, parsed.quantity === null ? null : parsed.quantity * scale, parsed.unit);
+    }
+
+    /**
+     * Readable total for a list item, e.g. "6", "1.2 kg", "500 g + 2 cans", "for 3 meals"
+     */
+    formatAmount(item) {
+        const amounts = { ...item.amounts };
+        const gramsEach = this.gramsEach[item.key];
+
+        // Counted produce/eggs: express weight as a whole number of items
+        if (gramsEach && amounts.weight > 0) {
+            amounts.count += amounts.weight / gramsEach;
+            amounts.weight = 0;
+        }
+
+        const parts = [];
+        if (amounts.count > 0) parts.push(String(Math.ceil(amounts.count - 0.05)));
+        if (amounts.weight > 0) {
+            parts.push(amounts.weight >= 1000 ? `${Math.round(amounts.weight / 100) / 10} kg` : `${Math.round(amounts.weight)} g`);
+        }
+        if (amounts.volume > 0) {
+            parts.push(amounts.volume >= 1000 ? `${Math.round(amounts.volume / 100) / 10} L` : `${Math.round(amounts.volume)} ml`);
+        }
+        Object.entries(item.otherUnits).forEach(([unit, quantity]) => {
+            const rounded = Math.ceil(quantity * 10 - 0.5) / 10;
+            parts.push(`${rounded} ${unit}${rounded === 1 ? '' : 's'}`);
+        });
+
+        if (parts.length === 0) {
+            return item.unquantified > 1 ? `for ${item.unquantified} meals` : '';
+        }
+        return parts.join(' + ');
+    }
+
+    /**
+     * Items grouped by store section, in aisle order
+     * @returns {Array} [{ aisle, items }]
+     */
+    groupByAisle(items) {
+        return this.aisles
+            .map(aisle => ({
+                aisle,
+                items: items
+                    .filter(item => item.aisle === aisle)
+                    .sort((a, b) => a.name.localeCompare(b.name))
+            }))
+            .filter(group => group.items.length > 0);
+    }
+
+    getCheckedKeys() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            const parsed = stored ? JSON.parse(stored) : [];
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.warn('⚠️ Invalid grocery check-off state, starting fresh');
+            return [];
+        }
+    }
+
+    setCheckedKeys(keys) {
+        const unique = Array.from(new Set(keys || []));
+        localStorage.setItem(this.storageKey, JSON.stringify(unique));
+        return unique;
+    }
+
+    toggleChecked(key) {
+        const checked = this.getCheckedKeys();
+        return this.setCheckedKeys(checked.includes(key)
+            ? checked.filter(checkedKey => checkedKey !== key)
+            : [...checked, key]);
+    }
+
+    /**
+     * Plain-text export of the list
+     */
+    toText(list) {
+        const checked = this.getCheckedKeys();
+
+        let text = '🛒 GROCERY LIST\n';
+        text += '═'.repeat(40) + '\n';
+        text += `📅 Generated: ${new Date().toLocaleDateString()}\n`;
+        text += `🍽️ Total Meals Planned: ${list.totalMeals}\n\n`;
+
+        if (list.mealNames.length > 0) {
+            text += '📋 MEALS IN YOUR PLAN:\n';
+            text += '─'.repeat(30) + '\n';
+            list.mealNames.forEach(meal => {
+                text += `  • ${meal}\n`;
+            });
+            text += '\n';
+        }
+
+        if (list.items.length === 0) {
+            text += '⚠️ No items in meal plan to generate grocery list.\n';
+            text += 'Add some meals to your weekly planner first!';
+            return text;
+        }
+
+        text += '📝 SHOPPING LIST:\n';
+        text += '─'.repeat(30) + '\n';
+        this.groupByAisle(list.items).forEach(group => {
+            text += `\n${group.aisle.toUpperCase()}:\n`;
+            group.items.forEach(item => {
+                const amount = this.formatAmount(item);
+                text += `  ${checked.includes(item.key) ? '☑' : '☐'} ${item.name}${amount ? ` - ${amount}` : ''}\n`;
+            });
+        });
+
+        return text;
+    }
+}
+
+// Create global instance
+window.groceryList = new GroceryListBuilder();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('groceryList', window.groceryList);
+}
+
+console.logInfo('✅ Grocery List loaded');
@@ -0,0 +1,229 @@
+/**
+ * INVITE CODES
+ *
+ * Coach invitation codes with an expiry date, a redemption cap, a campaign
+ * label and an optional target template.
+ * - Coaches (coach dashboard) and the owner (owner portal) create codes here
+ * - validate_invitation_code reports why a code can't be used
+ *   ('not_found' | 'inactive' | 'expired' | 'exhausted'), so every signup path
+ *   shows the same specific message
+ * - increment_invitation_code_usage needs a session, counts each user once and
+ *   only while the code is still usable, and applies the target template to the
+ *   new client's daily_targets
+ * - joinCoach() redeems a coach code and only then assigns the coach; signups
+ *   waiting for email confirmation are finished by the app on first sign-in
+ * Functions and columns are in ADD-INVITE-CODE-LIMITS.sql.
+ */
+
+class InviteCodes {
+    constructor() {
+        this.table = 'invite_codes';
+        this.codeLength = 8;
+        this.codeChars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+        this.macros = ['calories', 'protein', 'carbs', 'fat'];
+        this.messages = {
+            not_found: 'This invitation code does not exist. Check the code and try again.',
+            inactive: 'This invitation code has been deactivated. Ask your coach for a new one.',
+            expired: 'This invitation code has expired. Ask your coach for a new one.',
+            exhausted: 'This invitation code has already been used the maximum number of times.',
+            error: 'Error validating invitation code'
+        };
+    }
+
+    generateCode() {
+        let result = '';
+        for (let i = 0; i < this.codeLength; i++) {
+            result += this.codeChars.charAt(Math.floor(Math.random() * this.codeChars.length));
+        }
+        return result;
+    }
+
+    /**
+     * Uses so far; older rows count in usage_count (coach) or current_uses (owner portal)
+     */
+    usesOf(row) {
+        return Math.max(parseInt(row.usage_count) || 0, parseInt(row.current_uses) || 0);
+    }
+
+    /**
+     * Why a code row can't be redeemed right now, or null when it can
+     * @returns {string|null} 'inactive' | 'expired' | 'exhausted' | null
+     */
+    checkRow(row, now = new Date()) {
+        if (!row.is_active) return 'inactive';
+        if (row.expires_at && new Date(row.expires_at) <= now) return 'expired';
+        if (row.max_uses > 0 && this.usesOf(row) >= row.max_uses) return 'exhausted';
+        return null;
+    }
+
+    /**
+     * Check a code before signup
+     * @returns {Object} { valid, message, reason } or { valid, code_id, coach_email, coach_name, campaign, has_template }
+     */
+    async validate(code) {
+        const { data, error } = await window.supabaseClient
+            .rpc('validate_invitation_code', { input_code: code });
+
+        if (error) {
+            console.error('Error validating invitation code:', error);
+            return { valid: false, reason: 'error', message: this.messages.error };
+        }
+
+        const result = data?.[0];
+        if (!result || !result.is_valid) {
+            const reason = result?.reason || 'not_found';
+            return { valid: false, reason, message: this.messages[reason] || this.messages.not_found };
+        }
+
+        return {
+            valid: true,
+            code_id: result.code_id,
+            coach_email: result.coach_email,
+            coach_name: result.coach_name,
+            campaign: result.campaign || null,
+            has_template: !!result.has_template
+        };
+    }
+
+    /**
+     * Count a redemption for the signed-in user (applies the code's target template)
+     * @returns {boolean} false when the code was no longer usable
+     */
+    async redeem(code) {
+        const { data, error } = await window.supabaseClient
+            .rpc('increment_invitation_code_usage', { input_code: code });
+        if (error) throw error;
+        return !!data;
+    }
+
+    /**
+     * Redeem a coach code for the signed-in user and create their profile; the
+     * coach is only assigned when the use was counted
+     * @param {Object} options - { fullName, coachEmail } - coachEmail is looked up when not known
+     * @returns {Object|null} { counted, coachEmail }, null when the user already has a profile
+     */
+    async joinCoach(user, code, { fullName = null, coachEmail = null } = {}) {
+        const db = window.supabaseClient;
+        const { data: existing, error: lookupError } = await db
+            .from('user_profiles')
+            .select('id')
+            .eq('user_id', user.id)
+            .limit(1);
+        if (lookupError) throw lookupError;
+        if (existing && existing.length > 0) return null;
+
+        const cleanCode = String(code).trim().toUpperCase();
+        const coach = coachEmail || (await this.validate(cleanCode)).coach_email || null;
+        let counted = false;
+        if (coach) {
+            try {
+                counted = await this.redeem(cleanCode);
+            } catch (error) {
+                console.warn('⚠️ Invitation code not redeemed:', error.message);
+            }
+        }
+
+        const now = new Date().toISOString();
+        const profile = {
+            id: crypto.randomUUID ? crypto.randomUUID() : Date.now().toString(),
+            user_id: user.id,
+            user_email: user.email,
+            user_name: fullName || user.user_metadata?.full_name || user.email,
+            user_role: 'client',
+            assignment_status: counted ? 'assigned' : 'unassigned',
+            created_at: now,
+            updated_at: now
+        };
+        if (counted) {
+            Object.assign(profile, {
+                assigned_coach: coach,
+                coach_invite_code: cleanCode,
+                coach_assignment_date: now,
+                role_assigned_at: now,
+                role_assigned_by: 'coach_invitation_' + cleanCode
+            });
+        }
+
+        const { error } = await db.from('user_profiles').insert([profile]);
+        if (error) throw error;
+
+        if (counted && window.inviteFunnel) {
+            await window.inviteFunnel.track(cleanCode, 'account_created');
+        }
+        return { counted, coachEmail: counted ? coach : null };
+    }
+
+    /**
+     * Target template from form values; null unless calories are set
+     */
+    toTemplate(values) {
+        const template = {};
+        this.macros.forEach(macro => {
+            template[macro] = Math.round(parseFloat(values?.[macro]) || 0);
+        });
+        if (!(template.calories > 0)) return null;
+        if (values.note) template.note = String(values.note).trim();
+        return template;
+    }
+
+    /**
+     * Create a code for a coach
+     * @param {Object} options - { code, coachEmail, coachName, coachUserId, createdBy, expiresAt, maxUses, campaign, targetTemplate }
+     *   expiresAt: date string (YYYY-MM-DD, end of that day) or null; maxUses: 0 = unlimited
+     */
+    async create({ code, coachEmail, coachName, coachUserId, createdBy, expiresAt, maxUses, campaign, targetTemplate }) {
+        if (!window.supabaseClient) throw new Error('Supabase client not available');
+        if (!coachEmail) throw new Error('A coach is required');
+
+        const expires = expiresAt ? new Date(`${expiresAt}T23:59:59`) : null;
+        if (expires && (isNaN(expires) || expires <= new Date())) throw new Error('Expiry date must be in the future');
+        const cap = parseInt(maxUses) || 0;
+        if (cap < 0) throw new Error('Maximum uses cannot be negative');
+
+        const label = campaign ? campaign.trim() : null;
+        const now = new Date().toISOString();
+        const { data, error } = await window.supabaseClient
+            .from(this.table)
+            .insert([{
+                code: (code || this.generateCode()).toUpperCase(),
+                coach_email: coachEmail,
+                coach_name: coachName || null,
+                coach_user_id: coachUserId || null,
+                created_by: createdBy || coachEmail,
+                is_active: true,
+                max_uses: cap,
+                usage_count: 0,
+                current_uses: 0,
+                expires_at: expires ? expires.toISOString() : null,
+                campaign: label,
+                target_template: targetTemplate || null,
+                description: label || `Generated by ${coachName || coachEmail}`,
+                created_at: now,
+                updated_at: now
+            }])
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Short status line for code lists, e.g. "3 / 10 uses · Expires 12/31/2026"
+     */
+    describe(row) {
+        const uses = this.usesOf(row);
+        const usage = row.max_uses > 0 ? `${uses} / ${row.max_uses} uses` : `${uses} uses (unlimited)`;
+        const expiry = row.expires_at ? `Expires ${new Date(row.expires_at).toLocaleDateString()}` : 'Never expires';
+        return `${usage} · ${expiry}`;
+    }
+}
+
+// Create global instance
+window.inviteCodes = new InviteCodes();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('inviteCodes', window.inviteCodes);
+}
+
+console.logInfo('✅ Invite Codes loaded');
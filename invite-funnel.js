@@ -0,0 +1,179 @@
+/**
+ * INVITE FUNNEL
+ *
+ * Funnel events for coach invitation codes, stored in invite_code_redemptions
+ * (one row per event) and summarised per code and per coach.
+ * - link_opened / signup_started happen before there is an account and are tied
+ *   to a browser session id
+ * - account_created, first_meal_logged, active_7d and active_30d belong to the
+ *   signed-in user; record_invite_event checks them server-side (e.g. active_7d
+ *   only once a meal is logged 7 days after signup) and finds the user's code itself
+ * - Each event is recorded at most once per session / user
+ * Rates use the events before them: conversion = accounts / people who opened
+ * a link or typed the code,
+ * activation = first meals / accounts, retention = active / accounts old enough.
+ * Function and policies are in ADD-INVITE-FUNNEL.sql.
+ */
+
+class InviteFunnel {
+    constructor() {
+        this.events = [
+            { key: 'link_opened', label: 'Opened' },
+            { key: 'signup_started', label: 'Started signup' },
+            { key: 'account_created', label: 'Joined' },
+            { key: 'first_meal_logged', label: 'Logged a meal' },
+            { key: 'active_7d', label: 'Active after 7d' },
+            { key: 'active_30d', label: 'Active after 30d' }
+        ];
+        this.milestones = ['account_created', 'first_meal_logged', 'active_7d', 'active_30d'];
+        this.sessionKey = 'inviteFunnelSession';
+        this.recordedKey = 'inviteFunnelRecorded:';
+        this.dayMs = 24 * 60 * 60 * 1000;
+        this.pageSize = 1000;
+    }
+
+    sessionId() {
+        let id = localStorage.getItem(this.sessionKey);
+        if (!id) {
+            id = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+            localStorage.setItem(this.sessionKey, id);
+        }
+        return id;
+    }
+
+    /**
+     * Record an event; never throws, funnel tracking must not block signup
+     * @param {string|null} code - Invite code for link_opened / signup_started; milestones
+     *   always use the signed-in user's own code
+     * @returns {string|null} 'recorded' (now or earlier) | 'not_yet' (not reached) | 'no_code' (user wasn't invited), null on error
+     */
+    async track(code, event) {
+        if (!window.supabaseClient) return null;
+        try {
+            const { data, error } = await window.supabaseClient.rpc('record_invite_event', {
+                input_code: code,
+                input_event: event,
+                funnel_session: this.sessionId()
+            });
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.warn(`⚠️ Invite funnel event ${event} not recorded:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Post-signup milestones for the signed-in user, called when the app loads and
+     * after meals are saved. Events already recorded are remembered per user.
+     */
+    async recordMilestones(userId, { loggedMeal = false } = {}) {
+        if (!userId) return;
+        const storageKey = this.recordedKey + userId;
+        const recorded = new Set(JSON.parse(localStorage.getItem(storageKey) || '[]'));
+        if (recorded.has('no_code')) return;
+
+        const pending = this.milestones.filter(event =>
+            !recorded.has(event) && (event !== 'first_meal_logged' || loggedMeal));
+        for (const event of pending) {
+            const status = await this.track(null, event);
+            if (status === 'recorded') recorded.add(event);
+            if (status === 'no_code') {
+                recorded.add('no_code');
+                break;
+            }
+        }
+        localStorage.setItem(storageKey, JSON.stringify([...recorded]));
+    }
+
+    /**
+     * Funnel rows, limited to one coach by RLS for coaches; fetched a page at a
+     * time so the API's row limit can't cut the funnel short
+     */
+    async getEvents(coachEmail = null) {
+        const rows = [];
+        for (let from = 0; ; from += this.pageSize) {
+            let query = window.supabaseClient
+                .from('invite_code_redemptions')
+                .select('code, coach_email, event, user_id, session_id, redeemed_at')
+                // Each event is recorded once per user / session, so this order is stable across pages
+                .order('redeemed_at', { ascending: true })
+                .order('event', { ascending: true })
+                .order('user_id', { ascending: true })
+                .order('session_id', { ascending: true })
+                .range(from, from + this.pageSize - 1);
+            if (coachEmail) query = query.eq('coach_email', coachEmail);
+
+            const { data, error } = await query;
+            if (error) throw error;
+            rows.push(...(data || []));
+            if (!data || data.length < this.pageSize) return rows;
+        }
+    }
+
+    /**
+     * Distinct people per event plus conversion and retention rates
+     * @returns {Object} { counts: { [event]: n }, conversion, activation, retention7, retention30 } (rates in % or null)
+     */
+    summarize(rows, now = Date.now()) {
+        const actors = {};
+        this.events.forEach(({ key }) => { actors[key] = new Set(); });
+        const joinedAt = {};
+
+        rows.forEach(row => {
+            if (!actors[row.event]) return;
+            actors[row.event].add(row.user_id || row.session_id);
+            if (row.event === 'account_created' && row.user_id) joinedAt[row.user_id] = new Date(row.redeemed_at).getTime();
+        });
+
+        const counts = {};
+        this.events.forEach(({ key }) => { counts[key] = actors[key].size; });
+
+        const rate = (part, whole) => whole > 0 ? Math.round((part / whole) * 100) : null;
+        const retention = (event, days) => {
+            const eligible = Object.keys(joinedAt).filter(userId => now - joinedAt[userId] >= days * this.dayMs);
+            return rate(eligible.filter(userId => actors[event].has(userId)).length, eligible.length);
+        };
+
+        return {
+            counts,
+            conversion: rate(counts.account_created, Math.max(counts.link_opened, counts.signup_started)),
+            activation: rate(counts.first_meal_logged, counts.account_created),
+            retention7: retention('active_7d', 7),
+            retention30: retention('active_30d', 30)
+        };
+    }
+
+    /**
+     * Summaries grouped by a row field ('code' or 'coach_email')
+     * @returns {Object} { [value]: summary }
+     */
+    summarizeBy(rows, field) {
+        const groups = {};
+        rows.forEach(row => {
+            const key = row[field] || 'unknown';
+            if (!groups[key]) groups[key] = [];
+            groups[key].push(row);
+        });
+
+        const summaries = {};
+        Object.keys(groups).forEach(key => {
+            summaries[key] = this.summarize(groups[key]);
+        });
+        return summaries;
+    }
+
+    formatRate(value) {
+        return value === null ? '-' : `${value}%`;
+    }
+}
+
+// Create global instance
+window.inviteFunnel = new InviteFunnel();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('inviteFunnel', window.inviteFunnel);
+}
+
+console.logInfo('✅ Invite Funnel loaded');
@@ -0,0 +1,183 @@
+/**
+ * MACRO FORMULA ENGINE
+ *
+ * Pluggable BMR formulas and macro split presets for the macro calculator.
+ * All inputs are metric (kg / cm); unit conversion stays in app.html.
+ */
+
+class MacroFormulaEngine {
+    constructor() {
+        // BMR formulas keyed by the value stored in macro_calculations.bmr_formula
+        this.bmrFormulas = {
+            harris_benedict: {
+                label: 'Harris-Benedict',
+                requiresBodyFat: false,
+                calculate: ({ gender, weightKg, heightCm, age }) => {
+                    if (gender === 'male') {
+                        return 88.362 + (13.397 * weightKg) + (4.799 * heightCm) - (5.677 * age);
+                    }
+                    return 447.593 + (9.247 * weightKg) + (3.098 * heightCm) - (4.330 * age);
+                }
+            },
+            mifflin_st_jeor: {
+                label: 'Mifflin-St Jeor',
+                requiresBodyFat: false,
+                calculate: ({ gender, weightKg, heightCm, age }) => {
+                    const base = (10 * weightKg) + (6.25 * heightCm) - (5 * age);
+                    return gender === 'male' ? base + 5 : base - 161;
+                }
+            },
+            katch_mcardle: {
+                label: 'Katch-McArdle',
+                requiresBodyFat: true,
+                calculate: ({ weightKg, bodyFatPercent }) => {
+                    return 370 + (21.6 * this.getLeanMassKg(weightKg, bodyFatPercent));
+                }
+            },
+            cunningham: {
+                label: 'Cunningham',
+                requiresBodyFat: true,
+                calculate: ({ weightKg, bodyFatPercent }) => {
+                    return 500 + (22 * this.getLeanMassKg(weightKg, bodyFatPercent));
+                }
+            }
+        };
+
+        // Split presets as percentages of total calories
+        this.splitPresets = {
+            standard: { label: 'Standard (40C / 30P / 30F)', carbs: 40, protein: 30, fat: 30 },
+            high_protein: { label: 'High Protein (30C / 40P / 30F)', carbs: 30, protein: 40, fat: 30 },
+            keto: { label: 'Keto (5C / 25P / 70F)', carbs: 5, protein: 25, fat: 70 },
+            zone: { label: 'Zone (40C / 30P / 30F)', carbs: 40, protein: 30, fat: 30 },
+            endurance: { label: 'Endurance (55C / 20P / 25F)', carbs: 55, protein: 20, fat: 25 }
+        };
+
+        this.defaultFormula = 'harris_benedict';
+        this.defaultSplit = 'standard';
+    }
+
+    /**
+     * Lean body mass from total weight and body-fat percentage
+     */
+    getLeanMassKg(weightKg, bodyFatPercent) {
+        return weightKg * (1 - (bodyFatPercent / 100));
+    }
+
+    /**
+     * Calculate BMR with the requested formula
+     * @param {Object} params - { formula, gender, weightKg, heightCm, age, bodyFatPercent }
+     * @returns {Object} { bmr, formula, fallbackFrom } - fallbackFrom is set when a
+     *          body-fat formula was requested without a usable body-fat value
+     */
+    calculateBMR(params) {
+        let formulaKey = this.bmrFormulas[params.formula] ? params.formula : this.defaultFormula;
+        let fallbackFrom = null;
+
+        const bodyFat = parseFloat(params.bodyFatPercent);
+        const hasBodyFat = !isNaN(bodyFat) && bodyFat > 0 && bodyFat < 70;
+
+        if (this.bmrFormulas[formulaKey].requiresBodyFat && !hasBodyFat) {
+            fallbackFrom = formulaKey;
+            formulaKey = 'mifflin_st_jeor';
+        }
+
+        const bmr = this.bmrFormulas[formulaKey].calculate({
+            ...params,
+            bodyFatPercent: hasBodyFat ? bodyFat : null
+        });
+
+        return { bmr, formula: formulaKey, fallbackFrom };
+    }
+
+    /**
+     * Resolve a split key (or custom percentages) to carbs/protein/fat percentages
+     */
+    resolveSplit(splitKey, customSplit = null) {
+        if (splitKey === 'custom' && customSplit) {
+            const carbs = parseFloat(customSplit.carbs) || 0;
+            const protein = parseFloat(customSplit.protein) || 0;
+            const fat = parseFloat(customSplit.fat) || 0;
+            const total = carbs + protein + fat;
+
+            if (total <= 0) {
+                return { key: this.defaultSplit, ...this.splitPresets[this.defaultSplit] };
+            }
+
+            // Normalise so a custom split that doesn't add up to 100 still fills the calorie budget
+            return {
+                key: 'custom',
+                label: 'Custom',
+                carbs: (carbs / total) * 100,
+                protein: (protein / total) * 100,
+                fat: (fat / total) * 100
+            };
+        }
+
+        const key = this.splitPresets[splitKey] ? splitKey : this.defaultSplit;
+        return { key, ...this.splitPresets[key] };
+    }
+
+    /**
+     * Turn a calorie target into gram targets
+     * @param {number} calories - Daily calorie target
+     * @param {Object} options - { split, customSplit, proteinPerKg, weightKg }
+     * @returns {Object} { protein, carbs, fat, split, proteinPerKg }
+     *
+     * When proteinPerKg is given, protein is fixed from body weight and the
+     * remaining calories are shared between carbs and fat in the split's ratio.
+     */
+    calculateMacroTargets(calories, options = {}) {
+        const split = this.resolveSplit(options.split, options.customSplit);
+        const proteinPerKg = parseFloat(options.proteinPerKg);
+
+        if (!isNaN(proteinPerKg) && proteinPerKg > 0 && options.weightKg) {
+            const protein = Math.round(options.weightKg * proteinPerKg);
+            const remainingCalories = Math.max(0, calories - (protein * 4));
+            const carbFatTotal = split.carbs + split.fat;
+            const carbShare = carbFatTotal > 0 ? split.carbs / carbFatTotal : 0.5;
+
+            const carbs = Math.round((remainingCalories * carbShare) / 4);
+            const fat = Math.round((remainingCalories * (1 - carbShare)) / 9);
+
+            return {
+                protein,
+                carbs,
+                fat,
+                split: {
+                    ...split,
+                    protein: calories > 0 ? ((protein * 4) / calories) * 100 : 0,
+                    carbs: calories > 0 ? ((carbs * 4) / calories) * 100 : 0,
+                    fat: calories > 0 ? ((fat * 9) / calories) * 100 : 0
+                },
+                proteinPerKg
+            };
+        }
+
+        return {
+            protein: Math.round((calories * (split.protein / 100)) / 4),
+            carbs: Math.round((calories * (split.carbs / 100)) / 4),
+            fat: Math.round((calories * (split.fat / 100)) / 9),
+            split,
+            proteinPerKg: null
+        };
+    }
+
+    getFormulaLabel(formulaKey) {
+        return this.bmrFormulas[formulaKey]?.label || formulaKey;
+    }
+
+    getSplitLabel(splitKey) {
+        if (splitKey === 'custom') return 'Custom';
+        return this.splitPresets[splitKey]?.label || splitKey;
+    }
+}
+
+// Create global instance
+window.macroFormulas = new MacroFormulaEngine();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('macroFormulas', window.macroFormulas);
+}
+
+console.logInfo('✅ Macro Formula Engine loaded');
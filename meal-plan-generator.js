@@ -0,0 +1,237 @@
+/**
+ * MEAL PLAN GENERATOR
+ *
+ * Fills the weekly planner with recipes that get each day as close as possible
+ * to the daily macro targets.
+ * - Breakfast/lunch/dinner are picked from recipes of the matching category
+ * - A recipe isn't reused within `noRepeatDays` days (relaxed only when nothing else fits);
+ *   meals already in the plan count too, matched to recipes by name
+ * - Include list recipes are favoured until used; exclude list recipes are never picked
+ * - Only the `poolSize` recipes closest to each section's share of the day are
+ *   combined, so the search stays small with large recipe lists
+ */
+
+class MealPlanGenerator {
+    constructor() {
+        this.days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+        this.sections = ['breakfast', 'lunch', 'dinner'];
+
+        // Relative importance of each target when scoring a day
+        this.weights = { calories: 1, protein: 0.8, carbs: 0.4, fat: 0.4 };
+
+        this.defaults = {
+            noRepeatDays: 3,
+            includeBonus: 0.5,  // score multiplier for an include-list recipe not yet used this week
+            jitter: 0.02,       // small random spread so regenerating gives a different week
+            poolSize: 12        // recipes per section tried in combination (12³ day combinations at most)
+        };
+    }
+
+    /**
+     * Stable key for a recipe across built-in and custom lists
+     */
+    getRecipeKey(recipe) {
+        return `${recipe.source || 'builtin'}:${recipe.id}`;
+    }
+
+    /**
+     * Squared relative deviation of a day's totals from the targets (0 = perfect)
+     */
+    scoreDay(totals, targets) {
+        return Object.entries(this.weights).reduce((score, [key, weight]) => {
+            const target = targets[key];
+            if (!target) return score;
+            const deviation = ((totals[key] || 0) - target) / target;
+            return score + (weight * deviation * deviation);
+        }, 0);
+    }
+
+    /**
+     * Generate a plan
+     * @param {Object} options
+     * @param {Array} options.recipes - Built-in and custom recipes
+     * @param {Object} options.targets - { calories, protein, carbs, fat } for the generated meals
+     * @param {Array} [options.days] - Days to fill (default: the whole week)
+     * @param {Array} [options.sections] - Sections to fill (default: breakfast, lunch, dinner)
+     * @param {number} [options.noRepeatDays] - Don't reuse a recipe within this many days
+     * @param {Array} [options.include] - Recipe keys to favour
+     * @param {Array} [options.exclude] - Recipe keys never to use
+     * @param {Object} [options.fixed] - { day: { section: [meals] } } meals to keep and count toward the day
+     * @param {Function} [options.random] - Random source (Math.random by default)
+     * @returns {Object} { plan, usedRecipes, warnings } - plan is { day: { section: [recipe] } },
+     *   warnings are { type: 'repeat' | 'no_recipes', day, section, message }
+     */
+    generate(options) {
+        const days = options.days || this.days;
+        const sections = options.sections || this.sections;
+        const noRepeatDays = options.noRepeatDays ?? this.defaults.noRepeatDays;
+        const include = new Set(options.include || []);
+        const exclude = new Set(options.exclude || []);
+        const random = options.random || Math.random;
+        const targets = options.targets;
+
+        const candidates = {};
+        sections.forEach(section => {
+            candidates[section] = (options.recipes || []).filter(recipe =>
+                recipe.category === section && !exclude.has(this.getRecipeKey(recipe))
+            );
+        });
+
+        const plan = {};
+        const usedDays = {};   // recipe key → indexes of the days it is planned on
+        const usedThisWeek = new Set();
+        const warnings = [];
+        const markUsed = (key, dayIndex) => {
+            (usedDays[key] = usedDays[key] || []).push(dayIndex);
+            usedThisWeek.add(key);
+        };
+
+        // Meals kept in the plan block their recipe for the days around them too
+        const keysByName = {};
+        (options.recipes || []).forEach(recipe => {
+            const name = (recipe.name || '').trim().toLowerCase();
+            (keysByName[name] = keysByName[name] || []).push(this.getRecipeKey(recipe));
+        });
+        days.forEach((day, dayIndex) => {
+            Object.values(options.fixed?.[day] || {}).flat().forEach(meal => {
+                (keysByName[(meal?.name || '').trim().toLowerCase()] || []).forEach(key => markUsed(key, dayIndex));
+            });
+        });
+
+        days.forEach((day, dayIndex) => {
+            const fixedMeals = options.fixed?.[day] || {};
+            const fixedTotals = this.sumMeals(Object.values(fixedMeals).flat());
+            const openSections = sections.filter(section => !(fixedMeals[section] && fixedMeals[section].length > 0));
+
+            const isAllowed = recipe => (usedDays[this.getRecipeKey(recipe)] || [])
+                .every(usedIndex => Math.abs(dayIndex - usedIndex) > noRepeatDays);
+            const pick = this.pickDay(openSections, candidates, targets, fixedTotals, {
+                isAllowed,
+                include,
+                usedThisWeek,
+                random
+            });
+
+            plan[day] = {};
+            openSections.forEach(section => {
+                const recipe = pick.recipes[section];
+                if (!recipe) {
+                    warnings.push({ type: 'no_recipes', day, section, message: `${day}: no ${section} recipes available` });
+                    return;
+                }
+                if (pick.relaxed && !isAllowed(recipe)) {
+                    warnings.push({
+                        type: 'repeat',
+                        day,
+                        section,
+                        message: `${day}: ${section} repeats a recipe within ${noRepeatDays} days, there aren't enough to choose from`
+                    });
+                }
+                plan[day][section] = [recipe];
+                markUsed(this.getRecipeKey(recipe), dayIndex);
+            });
+        });
+
+        return { plan, usedRecipes: Array.from(usedThisWeek), warnings };
+    }
+
+    /**
+     * Best combination of one recipe per open section for a single day
+     */
+    pickDay(sections, candidates, targets, baseTotals, context) {
+        // Each open section's even share of what the kept meals leave of the targets
+        const share = {};
+        Object.keys(this.weights).forEach(key => {
+            share[key] = Math.max((targets[key] || 0) - (baseTotals[key] || 0), 0) / Math.max(sections.length, 1);
+        });
+        const bonus = (recipe) => {
+            const key = this.getRecipeKey(recipe);
+            return context.include.has(key) && !context.usedThisWeek.has(key) ? this.defaults.includeBonus : 1;
+        };
+        const shortlist = (pool) => {
+            if (pool.length <= this.defaults.poolSize) return pool;
+            return pool
+                .map(recipe => ({
+                    recipe,
+                    score: this.scoreDay(this.sumMeals([recipe]), share) * bonus(recipe) + context.random() * this.defaults.jitter
+                }))
+                .sort((a, b) => a.score - b.score)
+                .slice(0, this.defaults.poolSize)
+                .map(({ recipe }) => recipe);
+        };
+
+        const search = (allowRepeats) => {
+            const pools = sections.map(section => shortlist(candidates[section].filter(recipe =>
+                allowRepeats || context.isAllowed(recipe)
+            )));
+            if (pools.some((pool, index) => pool.length === 0 && candidates[sections[index]].length > 0)) {
+                return null;
+            }
+
+            let best = null;
+            const walk = (index, chosen, totals) => {
+                if (index === sections.length) {
+                    let score = this.scoreDay(totals, targets);
+                    chosen.filter(Boolean).forEach(recipe => {
+                        score *= bonus(recipe);
+                    });
+                    score += context.random() * this.defaults.jitter;
+
+                    if (!best || score < best.score) {
+                        best = { score, chosen: [...chosen] };
+                    }
+                    return;
+                }
+
+                if (pools[index].length === 0) {
+                    walk(index + 1, [...chosen, null], totals);
+                    return;
+                }
+
+                pools[index].forEach(recipe => {
+                    walk(index + 1, [...chosen, recipe], this.addTotals(totals, recipe));
+                });
+            };
+
+            walk(0, [], { ...baseTotals });
+            return best;
+        };
+
+        let relaxed = false;
+        let best = search(false);
+        if (!best) {
+            relaxed = true;
+            best = search(true);
+        }
+
+        const recipes = {};
+        sections.forEach((section, index) => {
+            recipes[section] = best?.chosen[index] || null;
+        });
+        return { recipes, relaxed };
+    }
+
+    addTotals(totals, recipe) {
+        return {
+            calories: totals.calories + (recipe.calories || 0),
+            protein: totals.protein + (recipe.protein || 0),
+            carbs: totals.carbs + (recipe.carbs || 0),
+            fat: totals.fat + (recipe.fat || 0)
+        };
+    }
+
+    sumMeals(meals) {
+        return (meals || []).reduce((totals, meal) => this.addTotals(totals, meal),
+            { calories: 0, protein: 0, carbs: 0, fat: 0 });
+    }
+}
+
+// Create global instance
+window.mealPlanGenerator = new MealPlanGenerator();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('mealPlanGenerator', window.mealPlanGenerator);
+}
+
+console.logInfo('✅ Meal Plan Generator loaded');
@@ -0,0 +1,199 @@
+/**
+ * NUTRIENT TARGETS
+ *
+ * Fiber, sugar, sodium, saturated fat and vitamin/mineral tracking.
+ * - Defines every nutrient tracked beyond calories/protein/carbs/fat
+ * - Derives daily targets from age, gender and calorie target (US DRI values)
+ * - Maps nutrient values between app objects and Supabase rows
+ */
+
+class NutrientTargets {
+    constructor() {
+        // kind: 'goal' = reach at least, 'limit' = stay under
+        // column: dedicated table column; nutrients without one go in the micronutrients JSONB
+        this.nutrients = {
+            fiber: { label: 'Fiber', unit: 'g', kind: 'goal', column: 'fiber', core: true },
+            sugar: { label: 'Sugar', unit: 'g', kind: 'limit', column: 'sugar', core: true },
+            sodium: { label: 'Sodium', unit: 'mg', kind: 'limit', column: 'sodium', core: true },
+            saturatedFat: { label: 'Saturated Fat', unit: 'g', kind: 'limit', column: 'saturated_fat', core: true },
+            potassium: { label: 'Potassium', unit: 'mg', kind: 'goal' },
+            calcium: { label: 'Calcium', unit: 'mg', kind: 'goal' },
+            iron: { label: 'Iron', unit: 'mg', kind: 'goal' },
+            magnesium: { label: 'Magnesium', unit: 'mg', kind: 'goal' },
+            zinc: { label: 'Zinc', unit: 'mg', kind: 'goal' },
+            vitaminA: { label: 'Vitamin A', unit: 'mcg', kind: 'goal' },
+            vitaminC: { label: 'Vitamin C', unit: 'mg', kind: 'goal' },
+            vitaminD: { label: 'Vitamin D', unit: 'mcg', kind: 'goal' },
+            vitaminB12: { label: 'Vitamin B12', unit: 'mcg', kind: 'goal' }
+        };
+
+        this.defaultTracked = ['potassium', 'calcium', 'iron', 'vitaminC'];
+        this.storageKey = 'trackedNutrients';
+    }
+
+    getCoreKeys() {
+        return Object.keys(this.nutrients).filter(key => this.nutrients[key].core);
+    }
+
+    getOptionalKeys() {
+        return Object.keys(this.nutrients).filter(key => !this.nutrients[key].core);
+    }
+
+    /**
+     * Vitamins/minerals the user chose to track (core nutrients are always tracked)
+     */
+    getTrackedKeys() {
+        let tracked = this.defaultTracked;
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                tracked = JSON.parse(stored).filter(key => this.nutrients[key] && !this.nutrients[key].core);
+            }
+        } catch (error) {
+            console.warn('⚠️ Invalid tracked nutrients setting, using defaults');
+        }
+        return [...this.getCoreKeys(), ...tracked];
+    }
+
+    setTrackedKeys(keys) {
+        const optional = (keys || []).filter(key => this.nutrients[key] && !this.nutrients[key].core);
+        localStorage.setItem(this.storageKey, JSON.stringify(optional));
+        return this.getTrackedKeys();
+    }
+
+    /**
+     * Daily targets derived from age, gender and calorie target
+     * @param {Object} params - { age, gender, calories }
+     * @returns {Object} target per nutrient key
+     */
+    getDailyTargets({ age = 30, gender = 'male', calories = 2000 } = {}) {
+        const male = gender === 'male';
+        const teen = age < 19;
+        const over50 = age > 50;
+        const over70 = age > 70;
+
+        return {
+            fiber: male ? (over50 ? 30 : 38) : (over50 ? 21 : 25),
+            // WHO / Dietary Guidelines: added sugar and saturated fat under 10% of calories
+            sugar: Math.round((calories * 0.10) / 4),
+            saturatedFat: Math.round((calories * 0.10) / 9),
+            sodium: 2300,
+            potassium: male ? 3400 : 2600,
+            calcium: teen ? 1300 : ((!male && over50) || over70 ? 1200 : 1000),
+            iron: male ? (teen ? 11 : 8) : (teen ? 15 : (over50 ? 8 : 18)),
+            magnesium: male ? (teen ? 410 : (age <= 30 ? 400 : 420)) : (teen ? 360 : (age <= 30 ? 310 : 320)),
+            zinc: male ? 11 : (teen ? 9 : 8),
+            vitaminA: male ? 900 : 700,
+            vitaminC: male ? (teen ? 75 : 90) : (teen ? 65 : 75),
+            vitaminD: over70 ? 20 : 15,
+            vitaminB12: 2.4
+        };
+    }
+
+    emptyTotals() {
+        return Object.keys(this.nutrients).reduce((totals, key) => {
+            totals[key] = 0;
+            return totals;
+        }, {});
+    }
+
+    /**
+     * Copy nutrient values from a meal/recipe/food into a new object
+     * (only keys that are present, so older entries stay unchanged)
+     */
+    pickNutrients(source, scale = 1) {
+        const picked = {};
+        if (!source) return picked;
+
+        Object.keys(this.nutrients).forEach(key => {
+            const value = parseFloat(source[key]);
+            if (!isNaN(value)) {
+                picked[key] = Math.round(value * scale * 10) / 10;
+            }
+        });
+        return picked;
+    }
+
+    sumNutrients(items) {
+        const totals = this.emptyTotals();
+        (items || []).forEach(item => {
+            Object.keys(totals).forEach(key => {
+                totals[key] += parseFloat(item[key]) || 0;
+            });
+        });
+        return totals;
+    }
+
+    /**
+     * Split nutrient values into dedicated columns and the micronutrients JSONB
+     * for daily_meals / custom_recipes / daily_targets rows
+     */
+    toRowColumns(source) {
+        const columns = {};
+        const micronutrients = {};
+
+        Object.entries(this.pickNutrients(source)).forEach(([key, value]) => {
+            const definition = this.nutrients[key];
+            if (definition.column) {
+                columns[definition.column] = value;
+            } else {
+                micronutrients[key] = value;
+            }
+        });
+
+        columns.micronutrients = micronutrients;
+        return columns;
+    }
+
+    /**
+     * Inverse of toRowColumns
+     */
+    fromRowColumns(row) {
+        if (!row) return {};
+
+        const values = {};
+        Object.entries(this.nutrients).forEach(([key, definition]) => {
+            if (definition.column && row[definition.column] !== null && row[definition.column] !== undefined) {
+                values[key] = parseFloat(row[definition.column]) || 0;
+            }
+        });
+
+        const micronutrients = typeof row.micronutrients === 'string'
+            ? JSON.parse(row.micronutrients || '{}')
+            : (row.micronutrients || {});
+        return { ...values, ...this.pickNutrients(micronutrients) };
+    }
+
+    /**
+     * Progress status for one nutrient
+     * @returns {Object} { percent, status } - status is 'low', 'ok' or 'over'
+     */
+    getStatus(key, value, target) {
+        const definition = this.nutrients[key];
+        const percent = target > 0 ? (value / target) * 100 : 0;
+
+        let status = 'ok';
+        if (definition.kind === 'limit') {
+            status = percent > 100 ? 'over' : 'ok';
+        } else if (percent < 100) {
+            status = 'low';
+        }
+        return { percent, status };
+    }
+
+    formatValue(key, value) {
+        const unit = this.nutrients[key]?.unit || '';
+        const rounded = value >= 10 ? Math.round(value) : Math.round(value * 10) / 10;
+        return `${rounded}${unit === 'g' ? 'g' : ' ' + unit}`;
+    }
+}
+
+// Create global instance
+window.nutrientTargets = new NutrientTargets();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('nutrientTargets', window.nutrientTargets);
+}
+
+console.logInfo('✅ Nutrient Targets loaded');
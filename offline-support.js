@@ -0,0 +1,107 @@
+/**
+ * OFFLINE SUPPORT
+ *
+ * Installable, offline-capable app on top of service-worker.js.
+ * - Registers the service worker that precaches the app shell
+ * - Shows an offline banner driven by the network monitor
+ *   (EnhancedNetworkMonitor where the page loads it, browser events otherwise)
+ * - Opening the login page offline with a saved session goes straight to the
+ *   tracker, which then runs on localStorage data and queues its writes
+ * Supabase keeps the session in localStorage, so the signed-in user is known
+ * offline even though auth.getUser() needs the network.
+ */
+
+class OfflineSupport {
+    constructor() {
+        this.serviceWorkerUrl = 'service-worker.js';
+        this.trackerPage = 'app.html';
+        this.loginPages = ['/', '/index.html'];
+        this.bannerId = 'offline-banner';
+        this.isOnline = navigator.onLine;
+    }
+
+    init() {
+        this.registerServiceWorker();
+        this.openTrackerIfOffline();
+
+        const start = () => {
+            this.watchNetwork();
+            this.renderBanner();
+        };
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', start);
+        } else {
+            start();
+        }
+    }
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register(this.serviceWorkerUrl)
+                .then(registration => console.logInfo('✅ Service worker registered:', registration.scope))
+                .catch(error => console.warn('⚠️ Service worker registration failed:', error.message));
+        });
+    }
+
+    /**
+     * User of the session Supabase saved in localStorage, or null
+     */
+    getStoredSessionUser() {
+        try {
+            const key = window.supabaseClient?.auth?.storageKey
+                || Object.keys(localStorage).find(name => /^sb-.+-auth-token$/.test(name));
+            const stored = key ? JSON.parse(localStorage.getItem(key) || 'null') : null;
+            return stored?.user || stored?.currentSession?.user || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    openTrackerIfOffline() {
+        const onLoginPage = this.loginPages.some(page => window.location.pathname.endsWith(page));
+        if (!navigator.onLine && onLoginPage && this.getStoredSessionUser()) {
+            console.logInfo('📵 Offline with a saved session - opening the tracker');
+            window.location.replace(this.trackerPage);
+        }
+    }
+
+    watchNetwork() {
+        const update = (isOnline) => {
+            this.isOnline = isOnline;
+            this.renderBanner();
+        };
+
+        if (window.networkMonitor && window.networkMonitor.onStatusChange) {
+            window.networkMonitor.onStatusChange((status, isOnline) => update(isOnline));
+        } else {
+            window.addEventListener('online', () => update(true));
+            window.addEventListener('offline', () => update(false));
+        }
+    }
+
+    renderBanner() {
+        let banner = document.getElementById(this.bannerId);
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = this.bannerId;
+            banner.setAttribute('role', 'status');
+            banner.className = 'hidden fixed bottom-0 inset-x-0 z-50 bg-yellow-500 text-white text-center text-sm py-2 px-4 shadow-lg';
+            banner.innerHTML = '<i class="fas fa-plane mr-2"></i>You\'re offline - showing data saved on this device. Changes will sync when you reconnect.';
+            document.body.appendChild(banner);
+        }
+        banner.classList.toggle('hidden', this.isOnline);
+    }
+}
+
+// Create global instance
+window.offlineSupport = new OfflineSupport();
+window.offlineSupport.init();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('offlineSupport', window.offlineSupport);
+}
+
+console.logInfo('✅ Offline Support loaded');
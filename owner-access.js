@@ -0,0 +1,122 @@
+/**
+ * OWNER ACCESS
+ *
+ * Owner portal gate backed by the database instead of secrets in the page.
+ * - check() asks get_owner_access() whether the signed-in user holds the
+ *   owner/admin role in user_roles, and whether a second factor is needed
+ * - Optional TOTP second factor through Supabase Auth MFA: once an owner or
+ *   admin enrolls, RLS only treats them as owner in sessions verified with a code
+ * Functions and policies are in ADD-OWNER-ACCESS.sql.
+ */
+
+class OwnerAccess {
+    constructor() {
+        this.factorType = 'totp';
+        this.issuer = 'Macro Tracker';
+    }
+
+    get auth() {
+        if (!window.supabaseClient) throw new Error('Supabase client not available');
+        return window.supabaseClient.auth;
+    }
+
+    async getUser() {
+        const { data: { session } } = await this.auth.getSession();
+        return session?.user || null;
+    }
+
+    /**
+     * @returns {Object} { user, role, isOwner, mfaEnrolled, mfaVerified, needsCode, granted }
+     */
+    async check() {
+        const user = await this.getUser();
+        if (!user) {
+            return { user: null, role: null, isOwner: false, mfaEnrolled: false, mfaVerified: false, needsCode: false, granted: false };
+        }
+
+        const { data, error } = await window.supabaseClient.rpc('get_owner_access');
+        if (error) throw error;
+        const row = (Array.isArray(data) ? data[0] : data) || {};
+
+        const isOwner = !!row.is_owner_role;
+        const mfaEnrolled = !!row.mfa_enrolled;
+        const mfaVerified = !!row.mfa_verified;
+        return {
+            user,
+            role: row.user_role || null,
+            isOwner,
+            mfaEnrolled,
+            mfaVerified,
+            needsCode: isOwner && mfaEnrolled && !mfaVerified,
+            granted: !!row.access_granted
+        };
+    }
+
+    async getVerifiedFactor() {
+        const { data, error } = await this.auth.mfa.listFactors();
+        if (error) throw error;
+        return (data?.totp || []).find(factor => factor.status === 'verified') || null;
+    }
+
+    /**
+     * Raise the session to aal2 with a code from the authenticator app
+     */
+    async verifyCode(code) {
+        const factor = await this.getVerifiedFactor();
+        if (!factor) throw new Error('No authenticator app is set up for this account');
+        await this.challengeAndVerify(factor.id, code);
+    }
+
+    async challengeAndVerify(factorId, code) {
+        const cleaned = String(code || '').replace(/\s+/g, '');
+        if (!/^\d{6}$/.test(cleaned)) throw new Error('Enter the 6-digit code from your authenticator app');
+
+        const { error } = await this.auth.mfa.challengeAndVerify({ factorId, code: cleaned });
+        if (error) throw error;
+    }
+
+    /**
+     * Start TOTP enrollment; drops an earlier unfinished attempt first
+     * @returns {Object} { factorId, qrCode, secret } - qrCode is an SVG data URL
+     */
+    async enroll() {
+        const { data: factors, error: listError } = await this.auth.mfa.listFactors();
+        if (listError) throw listError;
+        if ((factors?.totp || []).some(factor => factor.status === 'verified')) {
+            throw new Error('Two-factor authentication is already set up');
+        }
+        const unverified = (factors?.all || []).filter(factor => factor.factor_type === this.factorType && factor.status !== 'verified');
+        await Promise.all(unverified.map(factor => this.auth.mfa.unenroll({ factorId: factor.id })));
+
+        const { data, error } = await this.auth.mfa.enroll({ factorType: this.factorType, issuer: this.issuer });
+        if (error) throw error;
+        return { factorId: data.id, qrCode: data.totp.qr_code, secret: data.totp.secret };
+    }
+
+    /**
+     * Finish enrollment with the first code; the session becomes aal2
+     */
+    async confirmEnrollment(factorId, code) {
+        await this.challengeAndVerify(factorId, code);
+    }
+
+    async cancelEnrollment(factorId) {
+        if (!factorId) return;
+        const { error } = await this.auth.mfa.unenroll({ factorId });
+        if (error) console.warn('⚠️ Could not remove unfinished factor:', error.message);
+    }
+
+    async signOut() {
+        await this.auth.signOut();
+    }
+}
+
+// Create global instance
+window.ownerAccess = new OwnerAccess();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('ownerAccess', window.ownerAccess);
+}
+
+console.logInfo('✅ Owner Access loaded');
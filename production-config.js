@@ -31,48 +31,8 @@
         return allowedRoles && allowedRoles[userEmail];
     };
     
-    // Production-safe role configuration
-    // This is the ONLY place where roles are defined
-    // No console logging of this information is allowed
-    window.getSecureRoles = function() {
-        // Return minimal role configuration without exposing emails
-        return {
-            hasOwnerRole: function(email) {
-                const ownerEmails = ['elhambigzad2@gmail.com'];
-                return ownerEmails.includes(email);
-            },
-            
-            hasCoachRole: function(email) {
-                const coachEmails = [
-                    'coach1@fitnesspro.com',
-                    'coach2@healthcenter.com',
-                    'elhambigzad2@gmail.com' // Owner also has coach access
-                ];
-                return coachEmails.includes(email);
-            },
-            
-            getUserRole: function(email) {
-                if (this.hasOwnerRole(email)) {
-                    return {
-                        role: 'owner',
-                        access_level: 'all_users',
-                        display_name: 'System Administrator'
-                    };
-                }
-                
-                if (this.hasCoachRole(email)) {
-                    // Don't expose specific coach names in console
-                    return {
-                        role: 'coach',
-                        access_level: 'assigned_clients',
-                        display_name: 'Coach'
-                    };
-                }
-                
-                return null;
-            }
-        };
-    };
+    // Roles are not configured here: they live in the user_roles table and are
+    // checked server-side (get_user_role_info, get_owner_access)
     
     // Disable debug functions in production
     window.debugAdminPortal = function() {
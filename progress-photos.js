@@ -0,0 +1,288 @@
+/**
+ * PROGRESS PHOTOS
+ *
+ * Front / side / back photos attached to progress entries.
+ * - Photos are resized and kept in IndexedDB so they work offline
+ * - With cloud backup on, they are also uploaded to the private `progress-photos`
+ *   storage bucket under `<user_id>/<entry id>/<pose>.jpg` and listed in the
+ *   progress_photos table
+ * - Bucket and table policies only let the owner and their assigned coach read them
+ *   (ADD-PROGRESS-PHOTOS.sql); coaches get short-lived signed URLs
+ */
+
+class ProgressPhotoStore {
+    constructor() {
+        this.poses = {
+            front: { label: 'Front' },
+            side: { label: 'Side' },
+            back: { label: 'Back' }
+        };
+
+        this.db = null;
+        this.config = {
+            dbName: 'macroTrackerPhotos',
+            dbVersion: 1,
+            store: 'photos',
+            bucket: 'progress-photos',
+            table: 'progress_photos',
+            maxDimension: 1280,
+            quality: 0.85,
+            signedUrlSeconds: 3600,
+            cloudSyncKey: 'progressPhotoCloudSync'
+        };
+    }
+
+    /**
+     * Open (or create) the IndexedDB database holding photo blobs
+     */
+    openDatabase() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = window.indexedDB.open(this.config.dbName, this.config.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.config.store)) {
+                    const store = db.createObjectStore(this.config.store, { keyPath: 'id' });
+                    store.createIndex('entryId', 'entryId', { unique: false });
+                }
+            };
+
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async runRequest(mode, operation) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.config.store, mode);
+            const request = operation(tx.objectStore(this.config.store));
+            let result;
+            if (request) {
+                request.onsuccess = () => { result = request.result; };
+            }
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Scale an image file down to maxDimension and re-encode it as JPEG
+     */
+    resizeImage(file) {
+        return new Promise((resolve) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+
+            image.onload = () => {
+                const scale = Math.min(1, this.config.maxDimension / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => resolve(blob || file), 'image/jpeg', this.config.quality);
+            };
+
+            // Formats the browser can't decode are stored as-is
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                resolve(file);
+            };
+
+            image.src = url;
+        });
+    }
+
+    /**
+     * Store (or replace) one pose for a progress entry
+     * @returns {Object} { id, entryId, date, pose, blob, createdAt, storagePath }
+     */
+    async savePhoto({ entryId, date, pose, file }) {
+        if (!this.poses[pose]) {
+            throw new Error(`Unknown photo pose: ${pose}`);
+        }
+        if (!file || !file.type?.startsWith('image/')) {
+            throw new Error('Please choose an image file');
+        }
+
+        const record = {
+            id: `${entryId}:${pose}`,
+            entryId: String(entryId),
+            date,
+            pose,
+            blob: await this.resizeImage(file),
+            createdAt: new Date().toISOString(),
+            storagePath: null
+        };
+
+        await this.runRequest('readwrite', store => store.put(record));
+        return record;
+    }
+
+    async getAllPhotos() {
+        try {
+            return (await this.runRequest('readonly', store => store.getAll())) || [];
+        } catch (error) {
+            console.warn('⚠️ Progress photos unavailable:', error.message);
+            return [];
+        }
+    }
+
+    async getEntryPhotos(entryId) {
+        try {
+            return (await this.runRequest('readonly', store => store.index('entryId').getAll(String(entryId)))) || [];
+        } catch (error) {
+            console.warn('⚠️ Progress photos unavailable:', error.message);
+            return [];
+        }
+    }
+
+    async updatePhoto(record) {
+        await this.runRequest('readwrite', store => store.put(record));
+    }
+
+    async deletePhoto(photoId) {
+        await this.runRequest('readwrite', store => store.delete(photoId));
+    }
+
+    async clearAll() {
+        await this.runRequest('readwrite', store => store.clear());
+    }
+
+    /**
+     * Group photos as { date: { pose: photo } }
+     */
+    groupByDate(photos) {
+        const grouped = {};
+        (photos || []).forEach(photo => {
+            if (!grouped[photo.date]) grouped[photo.date] = {};
+            grouped[photo.date][photo.pose] = photo;
+        });
+        return grouped;
+    }
+
+    /**
+     * Label for a YYYY-MM-DD photo date, read as a local day
+     */
+    dateLabel(date) {
+        return new Date(`${date}T12:00:00`).toLocaleDateString();
+    }
+
+    isCloudSyncEnabled() {
+        return localStorage.getItem(this.config.cloudSyncKey) === 'true';
+    }
+
+    setCloudSyncEnabled(enabled) {
+        localStorage.setItem(this.config.cloudSyncKey, enabled ? 'true' : 'false');
+    }
+
+    getStoragePath(userId, photo) {
+        return `${userId}/${photo.entryId}/${photo.pose}.jpg`;
+    }
+
+    /**
+     * Upload a stored photo to the bucket and record it in progress_photos
+     * @param {Object} photo - Record from savePhoto()
+     * @param {Object} owner - { userId, email } of the signed-in user
+     */
+    async upload(photo, owner) {
+        if (!window.supabaseClient) throw new Error('No database connection available');
+        if (!owner?.userId) throw new Error('Sign in to back up photos');
+
+        const storagePath = this.getStoragePath(owner.userId, photo);
+        const { error: uploadError } = await window.supabaseClient.storage
+            .from(this.config.bucket)
+            .upload(storagePath, photo.blob, { upsert: true, contentType: photo.blob.type || 'image/jpeg' });
+        if (uploadError) throw uploadError;
+
+        const { error: rowError } = await window.supabaseClient
+            .from(this.config.table)
+            .upsert({
+                user_id: owner.userId,
+                user_email: owner.email || null,
+                entry_uuid: photo.entryId,
+                entry_date: photo.date,
+                pose: photo.pose,
+                storage_path: storagePath
+            }, { onConflict: 'user_id,entry_uuid,pose' });
+        if (rowError) throw rowError;
+
+        const synced = { ...photo, storagePath };
+        await this.updatePhoto(synced);
+        return synced;
+    }
+
+    /**
+     * Remove uploaded copies of photos (local records are removed separately)
+     */
+    async removeRemote(photos) {
+        const paths = (photos || []).map(photo => photo.storagePath).filter(Boolean);
+        if (!window.supabaseClient || paths.length === 0) return;
+
+        const { error: storageError } = await window.supabaseClient.storage.from(this.config.bucket).remove(paths);
+        if (storageError) throw storageError;
+
+        const { error: rowError } = await window.supabaseClient
+            .from(this.config.table)
+            .delete()
+            .in('storage_path', paths);
+        if (rowError) throw rowError;
+    }
+
+    /**
+     * Uploaded photos for one user with signed URLs (row policies decide who may see them)
+     * @param {string} userId - auth user id; user_email on the rows is written by the client
+     * @returns {Array} [{ date, pose, entryId, url }]
+     */
+    async fetchRemotePhotos(userId) {
+        if (!window.supabaseClient) throw new Error('No database connection available');
+        if (!userId) throw new Error('Client has no account');
+
+        const { data: rows, error } = await window.supabaseClient
+            .from(this.config.table)
+            .select('*')
+            .eq('user_id', userId)
+            .order('entry_date', { ascending: false });
+        if (error) throw error;
+        if (!rows || rows.length === 0) return [];
+
+        const { data: signed, error: signError } = await window.supabaseClient.storage
+            .from(this.config.bucket)
+            .createSignedUrls(rows.map(row => row.storage_path), this.config.signedUrlSeconds);
+        if (signError) throw signError;
+
+        const urls = {};
+        (signed || []).forEach(item => { urls[item.path] = item.signedUrl; });
+
+        return rows
+            .filter(row => urls[row.storage_path])
+            .map(row => ({
+                date: row.entry_date,
+                pose: row.pose,
+                entryId: row.entry_uuid,
+                url: urls[row.storage_path]
+            }));
+    }
+}
+
+// Create global instance
+window.progressPhotos = new ProgressPhotoStore();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('progressPhotos', window.progressPhotos);
+}
+
+console.logInfo('✅ Progress Photos loaded');
@@ -0,0 +1,165 @@
+/**
+ * RECIPE BUILDER
+ *
+ * Builds custom recipes from food database ingredients.
+ * - Each ingredient keeps its food id, quantity, unit and resolved weight in grams
+ * - Recipe totals and per-serving macros are computed from the foods' per-100 g values
+ * - Ingredient lists can be rescaled to a different number of servings
+ */
+
+class RecipeBuilder {
+    constructor() {
+        // Weight units available for every food (grams per unit)
+        this.weightUnits = {
+            g: { label: 'g', grams: 1 },
+            kg: { label: 'kg', grams: 1000 },
+            oz: { label: 'oz', grams: 28.3495 },
+            lb: { label: 'lb', grams: 453.592 }
+        };
+    }
+
+    /**
+     * Unit choices for a food: weight units plus the food's own serving sizes
+     * (serving units use the value 'serving:<index>')
+     */
+    getUnitOptions(food) {
+        const options = Object.entries(this.weightUnits).map(([value, unit]) => ({
+            value,
+            label: unit.label,
+            grams: unit.grams
+        }));
+
+        (food?.servings || []).forEach((serving, index) => {
+            options.push({ value: `serving:${index}`, label: serving.label, grams: serving.grams });
+        });
+
+        return options;
+    }
+
+    /**
+     * Weight in grams of a quantity of a food
+     */
+    toGrams(food, quantity, unit = 'g') {
+        const amount = parseFloat(quantity) || 0;
+        const option = this.getUnitOptions(food).find(candidate => candidate.value === unit);
+        return Math.round(amount * (option ? option.grams : 1) * 10) / 10;
+    }
+
+    /**
+     * Create an ingredient entry for a recipe
+     * @param {Object} food - Food database entry
+     * @param {number} quantity - Amount in the chosen unit
+     * @param {string} unit - Value from getUnitOptions
+     * @returns {Object} { foodId, name, quantity, unit, unitLabel, grams, per100g }
+     *
+     * per100g is a snapshot so recipes still add up if a custom food is later deleted.
+     */
+    createIngredient(food, quantity, unit = 'g') {
+        const option = this.getUnitOptions(food).find(candidate => candidate.value === unit) || this.getUnitOptions(food)[0];
+
+        return {
+            foodId: food.id,
+            name: food.name,
+            quantity: parseFloat(quantity) || 0,
+            unit: option.value,
+            unitLabel: option.label,
+            grams: this.toGrams(food, quantity, option.value),
+            per100g: { ...food.per100g }
+        };
+    }
+
+    /**
+     * Nutrition for one ingredient, using the current food values when available
+     */
+    getIngredientNutrition(ingredient) {
+        const food = window.foodDatabase?.getFood(ingredient.foodId) || { per100g: ingredient.per100g || {} };
+        return window.foodDatabase.calculateNutrition(food, ingredient.grams);
+    }
+
+    /**
+     * Whole-recipe totals for a list of ingredients
+     */
+    calculateTotals(ingredients) {
+        const totals = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+        const nutrientItems = [];
+
+        (ingredients || []).forEach(ingredient => {
+            const nutrition = this.getIngredientNutrition(ingredient);
+            totals.calories += nutrition.calories;
+            totals.protein += nutrition.protein;
+            totals.carbs += nutrition.carbs;
+            totals.fat += nutrition.fat;
+            nutrientItems.push(window.nutrientTargets.pickNutrients(nutrition));
+        });
+
+        // Only report nutrients that at least one ingredient provides
+        const nutrientTotals = window.nutrientTargets.sumNutrients(nutrientItems);
+        Object.keys(nutrientTotals).forEach(key => {
+            if (!nutrientItems.some(item => item[key] !== undefined)) {
+                delete nutrientTotals[key];
+            }
+        });
+
+        return { ...totals, ...nutrientTotals };
+    }
+
+    /**
+     * Per-serving values in the shape stored on recipe objects
+     */
+    calculatePerServing(ingredients, servingCount = 1) {
+        const count = parseFloat(servingCount) > 0 ? parseFloat(servingCount) : 1;
+        const totals = this.calculateTotals(ingredients);
+        const { calories, protein, carbs, fat, ...nutrients } = totals;
+
+        return {
+            calories: Math.round(calories / count),
+            protein: Math.round((protein / count) * 10) / 10,
+            carbs: Math.round((carbs / count) * 10) / 10,
+            fat: Math.round((fat / count) * 10) / 10,
+            ...window.nutrientTargets.pickNutrients(nutrients, 1 / count)
+        };
+    }
+
+    /**
+     * Rescale ingredient quantities from one serving count to another
+     */
+    scaleIngredients(ingredients, fromServings, toServings) {
+        const from = parseFloat(fromServings) > 0 ? parseFloat(fromServings) : 1;
+        const factor = (parseFloat(toServings) || 0) / from;
+
+        return (ingredients || []).map(ingredient => ({
+            ...ingredient,
+            quantity: Math.round(ingredient.quantity * factor * 100) / 100,
+            grams: Math.round(ingredient.grams * factor * 10) / 10
+        }));
+    }
+
+    /**
+     * Display text for an ingredient, e.g. "150 g Chicken breast" or "2 × 1 large egg Egg"
+     */
+    formatIngredient(ingredient) {
+        const quantity = Math.round(ingredient.quantity * 100) / 100;
+
+        if (this.weightUnits[ingredient.unit]) {
+            return `${quantity} ${ingredient.unitLabel} ${ingredient.name}`;
+        }
+        return `${quantity} × ${ingredient.unitLabel} ${ingredient.name} (${Math.round(ingredient.grams)} g)`;
+    }
+
+    /**
+     * True when a recipe was built from structured ingredients
+     */
+    isBuilt(recipe) {
+        return Array.isArray(recipe?.ingredientItems) && recipe.ingredientItems.length > 0;
+    }
+}
+
+// Create global instance
+window.recipeBuilder = new RecipeBuilder();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('recipeBuilder', window.recipeBuilder);
+}
+
+console.logInfo('✅ Recipe Builder loaded');
@@ -0,0 +1,172 @@
+/**
+ * SERVICE WORKER
+ *
+ * Keeps the app usable without a connection.
+ * - Precaches the app shell: the pages, their scripts, the food/recipe data
+ *   (food-database.json; recipes are inline in app.html) and the CDN libraries
+ *   including the Supabase JS bundle
+ * - Pages are network-first so deploys show up immediately, falling back to
+ *   the cached copy offline
+ * - Local scripts and data are served from cache and refreshed in the background,
+ *   as are CDN files without a version in the URL (chart.js, the Tailwind
+ *   script); versioned CDN files are served cache-first
+ * - Supabase API/auth requests are never cached: offline writes go through the
+ *   IndexedDB outbox in database-error-recovery.js instead
+ * Bump CACHE_VERSION when the precache list changes.
+ */
+
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `macro-shell-${CACHE_VERSION}`;
+const CDN_CACHE = `macro-cdn-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'app.html',
+    'coach-dashboard.html',
+    'manifest.webmanifest',
+    'app-icon.svg',
+    'food-database.json',
+    'offline-support.js',
+    'simple-logger.js',
+    'initialization-manager.js',
+    'production-config.js',
+    'supabase-config.js',
+    'supabase-init.js',
+    'supabase-query-fixes.js',
+    'table-name-validator.js',
+    'supabase-auth-wrapper.js',
+    'simple-auth-modal.js',
+    'security-middleware.js',
+    'authHelper.js',
+    'error-handling-system.js',
+    'error-telemetry.js',
+    'safe-json-handler.js',
+    'database-error-recovery.js',
+    'enhanced-database-functions.js',
+    'enhanced-invitation-handler.js',
+    'EMAIL-INVITATION-FIX.js',
+    'invite-codes.js',
+    'invite-funnel.js',
+    'audit-log.js',
+    'macro-formula-engine.js',
+    'nutrient-targets.js',
+    'food-database.js',
+    'food-diary.js',
+    'recipe-builder.js',
+    'grocery-list.js',
+    'meal-plan-generator.js',
+    'dietary-preferences.js',
+    'weight-trend.js',
+    'adaptive-tdee.js',
+    'body-composition.js',
+    'progress-photos.js',
+    'coach-targets.js',
+    'coach-messages.js',
+    'client-detail.js',
+    'client-risk.js'
+];
+
+const CDN_FILES = [
+    'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2.39.3/dist/umd/supabase.min.js',
+    'https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css',
+    'https://cdn.jsdelivr.net/npm/@fortawesome/fontawesome-free@6.4.0/css/all.min.css',
+    'https://cdn.jsdelivr.net/npm/chart.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+    'https://cdn.tailwindcss.com'
+];
+
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'cdn.tailwindcss.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+
+        // A CDN hiccup shouldn't block installing the app shell
+        const cdn = await caches.open(CDN_CACHE);
+        await Promise.all(CDN_FILES.map(url =>
+            cdn.add(url).catch(error => console.warn(`⚠️ Could not precache ${url}:`, error.message))
+        ));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, CDN_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(isVersioned(url) ? cacheFirst(request) : staleWhileRevalidate(event, CDN_CACHE));
+    }
+    // Everything else (Supabase, analytics) goes straight to the network
+});
+
+// e.g. /npm/tailwindcss@2.2.19/... or /libs/jspdf/2.5.1/...; these never change
+function isVersioned(url) {
+    return /@\d|\/v?\d+\.\d+(\.\d+)?\//.test(url.pathname);
+}
+
+// Only the app's own pages are kept (not e.g. the owner portal)
+function isShellPage(request) {
+    const path = new URL(request.url).pathname.split('/').pop();
+    return path === '' || SHELL_FILES.includes(path);
+}
+
+async function networkFirstPage(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok && isShellPage(request)) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        // Unknown pages offline open the tracker
+        return cached || cache.match('app.html');
+    }
+}
+
+async function staleWhileRevalidate(event, cacheName = SHELL_CACHE) {
+    const request = event.request;
+    const cache = await caches.open(cacheName);
+    // Local files are cached without their query string; CDN query strings select content
+    const cached = await cache.match(request, { ignoreSearch: cacheName === SHELL_CACHE });
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+    }
+    return (await refresh) || Response.error();
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CDN_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
@@ -217,27 +217,10 @@ const SupabaseDB = {
             console.error(`Delete error in ${table}:`, error);
             return { success: false, error: error.message };
         }
-    },
-
-    // Real-time subscription
-    subscribe(table, filters = {}, callback) {
-        const subscription = supabase
-            .channel(`${table}_changes`)
-            .on('postgres_changes', 
-                { 
-                    event: '*', 
-                    schema: 'public', 
-                    table: table,
-                    filter: Object.entries(filters)
-                        .map(([key, value]) => `${key}=eq.${value}`)
-                        .join(',')
-                },
-                (payload) => callback(payload)
-            )
-            .subscribe();
-        
-        return subscription;
     }
+
+    // Real-time subscriptions: SupabaseDB.subscribe comes from supabase-init.js,
+    // which every page loads after this file and which replaces window.SupabaseDB
 };
 
 // Export for use in other scripts
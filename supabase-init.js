@@ -181,6 +181,20 @@
                 } catch (error) {
                     return { success: false, error: error.message };
                 }
+            },
+
+            subscribe(table, filters = {}, callback) {
+                const filter = Object.entries(filters)
+                    .map(([key, value]) => `${key}=eq.${value}`)
+                    .join(',');
+
+                return window.supabaseClient
+                    .channel(`${table}_changes${filter ? `_${filter}` : ''}`)
+                    .on('postgres_changes',
+                        { event: '*', schema: 'public', table: table, ...(filter ? { filter } : {}) },
+                        (payload) => callback(payload)
+                    )
+                    .subscribe();
             }
         };
 
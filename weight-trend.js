@@ -0,0 +1,187 @@
+/**
+ * WEIGHT TREND
+ *
+ * Smoothed trend weight, weekly rate and projected goal date for the progress tracker.
+ * - The trend is an exponential moving average of weigh-ins (gaps between weigh-ins
+ *   count as several days of smoothing), so single noisy weigh-ins barely move it
+ * - The weekly rate is the least-squares slope of the trend over the last few weeks
+ * - The rate is compared with the change logged intake predicts from macro history
+ *   so we can flag when the scale and the food log disagree
+ * Weights are in the units progress entries are stored in (lbs).
+ */
+
+class WeightTrend {
+    constructor() {
+        this.smoothing = 0.1;          // share of a day's weigh-in that moves the trend
+        this.rateWindowDays = 28;      // weeks of trend used for the weekly rate
+        this.minRateDays = 7;          // trend must span this long before a rate is reported
+        this.minRateEntries = 3;
+        this.kcalPerUnit = 3500;       // ≈ kcal per lb of body weight
+        this.minLoggedDays = 7;        // logged diary days needed for the intake check
+        this.mismatchThreshold = 0.5;  // lbs/week between scale and intake before flagging
+        this.goalTolerance = 0.5;      // within this of the target counts as reached
+        this.maxProjectionDays = 730;
+    }
+
+    /**
+     * Whole days since the epoch for a YYYY-MM-DD key (UTC so DST doesn't shift days)
+     */
+    toDayNumber(dateKey) {
+        const [year, month, day] = String(dateKey).slice(0, 10).split('-').map(Number);
+        return Math.round(Date.UTC(year, month - 1, day) / 86400000);
+    }
+
+    fromDayNumber(dayNumber) {
+        return new Date(dayNumber * 86400000).toISOString().split('T')[0];
+    }
+
+    /**
+     * Chronological series with trend values
+     * @param {Array} entries - Progress entries ({ date, weight }) in any order
+     * @returns {Array} [{ date, day, weight, trend }]
+     */
+    smooth(entries) {
+        const sorted = (entries || [])
+            .filter(entry => entry && entry.date && entry.weight > 0)
+            .map(entry => ({ date: entry.date, day: this.toDayNumber(entry.date), weight: entry.weight }))
+            .sort((a, b) => a.day - b.day);
+
+        let trend = null;
+        let lastDay = null;
+        return sorted.map(point => {
+            if (trend === null) {
+                trend = point.weight;
+            } else {
+                const days = Math.max(1, point.day - lastDay);
+                const alpha = 1 - Math.pow(1 - this.smoothing, days);
+                trend += alpha * (point.weight - trend);
+            }
+            lastDay = point.day;
+            return { ...point, trend: Math.round(trend * 100) / 100 };
+        });
+    }
+
+    /**
+     * Trend change per week over the rate window, or null with too little data
+     */
+    getWeeklyRate(series, windowDays = this.rateWindowDays) {
+        if (!series || series.length === 0) return null;
+
+        const lastDay = series[series.length - 1].day;
+        const points = series.filter(point => lastDay - point.day <= windowDays);
+        if (points.length < this.minRateEntries || lastDay - points[0].day < this.minRateDays) {
+            return null;
+        }
+
+        const meanDay = points.reduce((sum, point) => sum + point.day, 0) / points.length;
+        const meanTrend = points.reduce((sum, point) => sum + point.trend, 0) / points.length;
+        let numerator = 0;
+        let denominator = 0;
+        points.forEach(point => {
+            numerator += (point.day - meanDay) * (point.trend - meanTrend);
+            denominator += (point.day - meanDay) * (point.day - meanDay);
+        });
+
+        return denominator > 0 ? (numerator / denominator) * 7 : null;
+    }
+
+    /**
+     * Projected date for reaching a target weight at the current rate
+     * @returns {Object} { status, date, days, daysVsTarget }
+     *   status: 'reached' | 'on_track' | 'wrong_direction' | 'stalled' | 'insufficient' | 'no_goal'
+     *   daysVsTarget is positive when the projection lands after the goal's target date
+     */
+    projectGoal(series, weeklyRate, goal) {
+        if (!goal || !(goal.targetWeight > 0)) return { status: 'no_goal' };
+        if (!series || series.length === 0) return { status: 'insufficient' };
+
+        const latest = series[series.length - 1];
+        const remaining = goal.targetWeight - latest.trend;
+        if (Math.abs(remaining) <= this.goalTolerance) {
+            return { status: 'reached', date: latest.date, days: 0 };
+        }
+        if (weeklyRate === null || weeklyRate === undefined) return { status: 'insufficient' };
+        if (weeklyRate === 0) return { status: 'stalled' };
+        if (Math.sign(weeklyRate) !== Math.sign(remaining)) return { status: 'wrong_direction' };
+
+        const days = Math.ceil(remaining / (weeklyRate / 7));
+        if (days > this.maxProjectionDays) return { status: 'stalled' };
+
+        const projectedDay = latest.day + days;
+        return {
+            status: 'on_track',
+            date: this.fromDayNumber(projectedDay),
+            days,
+            daysVsTarget: goal.targetDate ? projectedDay - this.toDayNumber(goal.targetDate) : null
+        };
+    }
+
+    /**
+     * Compare the trend's weekly rate with the change logged intake predicts
+     * @param {Array} series - Output of smooth()
+     * @param {number|null} weeklyRate - Output of getWeeklyRate()
+     * @param {Array} history - Macro history entries ({ date, calories })
+     * @param {number} maintenance - Estimated maintenance calories
+     * @returns {Object} { status, loggedDays, averageIntake, expectedRate, difference }
+     *   status: 'consistent' | 'slower_than_logged' | 'faster_than_logged' | 'insufficient' | 'no_maintenance'
+     */
+    checkEnergyBalance(series, weeklyRate, history, maintenance) {
+        if (!(maintenance > 0)) return { status: 'no_maintenance' };
+        if (weeklyRate === null || weeklyRate === undefined || series.length === 0) {
+            return { status: 'insufficient' };
+        }
+
+        const lastDay = series[series.length - 1].day;
+        const logged = (history || []).filter(entry => {
+            if (!entry || !(entry.calories > 0)) return false;
+            const day = this.toDayNumber(entry.date);
+            return day <= lastDay && lastDay - day <= this.rateWindowDays;
+        });
+        if (logged.length < this.minLoggedDays) {
+            return { status: 'insufficient', loggedDays: logged.length };
+        }
+
+        const averageIntake = logged.reduce((sum, entry) => sum + entry.calories, 0) / logged.length;
+        const expectedRate = ((averageIntake - maintenance) * 7) / this.kcalPerUnit;
+        const difference = weeklyRate - expectedRate;
+
+        let status = 'consistent';
+        if (difference > this.mismatchThreshold) status = 'slower_than_logged';
+        if (difference < -this.mismatchThreshold) status = 'faster_than_logged';
+
+        return {
+            status,
+            loggedDays: logged.length,
+            averageIntake: Math.round(averageIntake),
+            expectedRate: Math.round(expectedRate * 100) / 100,
+            difference: Math.round(difference * 100) / 100
+        };
+    }
+
+    /**
+     * Everything the progress tracker shows in one call
+     * @returns {Object} { series, latestTrend, weeklyRate, projection, energyBalance }
+     */
+    analyze({ entries, goal, history, maintenance }) {
+        const series = this.smooth(entries);
+        const weeklyRate = this.getWeeklyRate(series);
+
+        return {
+            series,
+            latestTrend: series.length > 0 ? series[series.length - 1].trend : null,
+            weeklyRate,
+            projection: this.projectGoal(series, weeklyRate, goal),
+            energyBalance: this.checkEnergyBalance(series, weeklyRate, history, maintenance)
+        };
+    }
+}
+
+// Create global instance
+window.weightTrend = new WeightTrend();
+
+// Register with initialization manager if available
+if (window.initManager) {
+    window.initManager.registerComponent('weightTrend', window.weightTrend);
+}
+
+console.logInfo('✅ Weight Trend loaded');